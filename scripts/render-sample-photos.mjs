@@ -0,0 +1,178 @@
+// Renders the gallery's photo samples (src/samples/*.png):
+//   node scripts/render-sample-photos.mjs
+// Small shaded scenes with the things photos bring to a convolution - soft gradients, hard
+// edges at every angle, texture and sensor-like grain - drawn from code so the repo needs
+// no third-party images. Seeded, so every run writes the same files.
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+const SIZE = 64;
+const OUT_DIR = new URL('../src/samples/', import.meta.url);
+
+const mulberry32 = (seed) => () => {
+  let t = (seed += 0x6d2b79f5);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+const smoothstep = (e0, e1, x) => {
+  const t = clamp01((x - e0) / (e1 - e0));
+  return t * t * (3 - 2 * t);
+};
+
+// Smooth value noise on a lattice of random values, summed over octaves
+const valueNoise = (seed, cells) => {
+  const rand = mulberry32(seed);
+  const lattice = Array.from({ length: (cells + 1) * (cells + 1) }, rand);
+  const at = (x, y) => lattice[y * (cells + 1) + x];
+  return (u, v) => {
+    const x = clamp01(u) * cells;
+    const y = clamp01(v) * cells;
+    const x0 = Math.min(cells - 1, Math.floor(x));
+    const y0 = Math.min(cells - 1, Math.floor(y));
+    const sx = smoothstep(0, 1, x - x0);
+    const sy = smoothstep(0, 1, y - y0);
+    const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * sx;
+    const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * sx;
+    return top + (bottom - top) * sy;
+  };
+};
+const fractal = (seed, octaves) => {
+  const layers = Array.from({ length: octaves }, (_, o) => valueNoise(seed + o, 4 << o));
+  return (u, v) => layers.reduce((sum, layer, o) => sum + layer(u, v) / 2 ** (o + 1), 0) / (1 - 2 ** -octaves);
+};
+
+// --- SCENES ---
+// Each maps (u, v) in [0, 1)² (v down) to linear RGB in [0, 1]
+
+// A lit ball resting on a floor, with its soft shadow
+const ball = () => {
+  const light = [-0.5, -0.6, 0.62];
+  const len = Math.hypot(...light);
+  const [lx, ly, lz] = light.map(v => v / len);
+  return (u, v) => {
+    const floor = mix([0.55, 0.5, 0.44], [0.3, 0.27, 0.24], v);
+    const shadow = 1 - 0.55 * (1 - smoothstep(0.1, 0.32, Math.hypot((u - 0.6) / 1.6, v - 0.8)));
+    const wall = v < 0.62 ? mix([0.72, 0.76, 0.8], [0.6, 0.64, 0.7], v / 0.62) : floor.map(c => c * shadow);
+    const dx = (u - 0.5) / 0.28;
+    const dy = (v - 0.52) / 0.28;
+    const r2 = dx * dx + dy * dy;
+    if (r2 > 1) return wall;
+    const nz = Math.sqrt(1 - r2);
+    const diffuse = Math.max(0, dx * lx + dy * ly + nz * lz);
+    const specular = Math.max(0, 2 * nz * (dx * lx + dy * ly + nz * lz) - lz) ** 24;
+    return [0.85, 0.22, 0.16].map(c => c * (0.15 + 0.85 * diffuse) + 0.6 * specular);
+  };
+};
+
+// Running-bond brick wall; each brick gets its own tint and surface grain
+const bricks = () => {
+  const grain = fractal(11, 4);
+  const tint = mulberry32(5);
+  const tints = Array.from({ length: 64 }, () => 0.8 + 0.35 * tint());
+  return (u, v) => {
+    const row = Math.floor(v * 8);
+    const x = u * 4 + (row % 2) * 0.5;
+    const col = Math.floor(x);
+    const mortar = Math.min(x - col, 1 - (x - col)) * 4 < 0.09 || Math.min(v * 8 - row, 1 - (v * 8 - row)) < 0.09;
+    const g = grain(u, v);
+    if (mortar) return [0.7, 0.68, 0.62].map(c => c * (0.85 + 0.3 * g));
+    const t = tints[(row * 5 + col) & 63];
+    return [0.62, 0.28, 0.2].map(c => c * t * (0.75 + 0.5 * g));
+  };
+};
+
+// Rolling hills under a sky with the sun low on the left
+const hills = () => {
+  const ridge = fractal(21, 4);
+  const near = fractal(37, 3);
+  const grass = fractal(53, 4);
+  return (u, v) => {
+    const sunGlow = Math.exp(-(Math.hypot(u - 0.22, v - 0.3) ** 2) / 0.01);
+    const sky = mix([0.35, 0.55, 0.85], [0.95, 0.82, 0.62], smoothstep(0.05, 0.55, v)).map(c => clamp01(c + 0.8 * sunGlow));
+    const far = 0.42 + 0.16 * ridge(u, 0.1);
+    const close = 0.6 + 0.18 * near(u, 0.6);
+    if (v > close) return mix([0.28, 0.45, 0.16], [0.14, 0.26, 0.08], smoothstep(close, 1, v)).map(c => c * (0.8 + 0.4 * grass(u, v)));
+    if (v > far) return mix([0.38, 0.46, 0.52], [0.3, 0.4, 0.3], smoothstep(far, close, v));
+    return sky;
+  };
+};
+
+// A checkerboard floor running off to the horizon
+const tiles = () => (u, v) => {
+  const horizon = 0.35;
+  if (v <= horizon) return mix([0.78, 0.84, 0.9], [0.9, 0.9, 0.88], v / horizon);
+  const depth = 0.18 / (v - horizon);
+  const x = (u - 0.5) * depth * 4;
+  const z = depth * 4;
+  const checker = (Math.floor(x) + Math.floor(z)) & 1;
+  const fog = smoothstep(0.4, 3, depth);
+  return mix(checker ? [0.9, 0.88, 0.82] : [0.12, 0.14, 0.2], [0.84, 0.87, 0.89], fog);
+};
+
+const SCENES = { ball, bricks, hills, tiles };
+
+// --- PNG ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'ascii');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+};
+
+// 8-bit RGB PNG, no filtering
+const encodePng = (rgb, size) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header.set([8, 2, 0, 0, 0], 8);
+  const raw = Buffer.alloc(size * (size * 3 + 1));
+  for (let y = 0; y < size; y++) raw.set(rgb.subarray(y * size * 3, (y + 1) * size * 3), y * (size * 3 + 1) + 1);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+// 4x4 supersampling for clean edges, then a little grain like a real sensor
+const render = (scene, seed) => {
+  const rand = mulberry32(seed);
+  const rgb = new Uint8Array(SIZE * SIZE * 3);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const sum = [0, 0, 0];
+      for (let s = 0; s < 16; s++) {
+        const c = scene((x + ((s % 4) + 0.5) / 4) / SIZE, (y + (Math.floor(s / 4) + 0.5) / 4) / SIZE);
+        c.forEach((v, i) => { sum[i] += v / 16; });
+      }
+      const noise = (rand() - 0.5) * 0.03;
+      sum.forEach((v, i) => { rgb[(y * SIZE + x) * 3 + i] = Math.round(255 * clamp01(v + noise) ** (1 / 2.2)); });
+    }
+  }
+  return rgb;
+};
+
+Object.entries(SCENES).forEach(([name, make], i) => {
+  fs.writeFileSync(new URL(`${name}.png`, OUT_DIR), encodePng(render(make(), i + 1), SIZE));
+  console.log(`wrote src/samples/${name}.png`);
+});
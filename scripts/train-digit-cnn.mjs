@@ -0,0 +1,234 @@
+// Trains the bundled digit classifier (src/models/digit-cnn.json):
+//   npm install && node scripts/train-digit-cnn.mjs
+// Learns from the MNIST training set (60,000 handwritten digits, read from the mnist-data
+// dev dependency's IDX files) and scores itself on the 10,000-digit MNIST test set, which it
+// never trains on. Every digit goes through the same toDigitInput the app uses; some are first
+// shrunk to 14×14 or hard-edged, like drawings on the app's coarser grids. Seeded, so every
+// run writes the same model.
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { toDigitInput, classifyDigit, DIGIT_SIZE } from '../src/engine/classifier.js';
+
+const FILTERS = 8;
+const K = 3;
+const CONV_DIM = DIGIT_SIZE - K + 1;
+const POOL_DIM = CONV_DIM / 2;
+const FEATURES = FILTERS * POOL_DIM * POOL_DIM;
+const CLASSES = 10;
+
+const EPOCHS = 4;
+const BATCH = 32;
+const LEARNING_RATE = 0.002;
+
+const OUT_FILE = new URL('../src/models/digit-cnn.json', import.meta.url);
+const MNIST_DIR = path.join(path.dirname(createRequire(import.meta.url).resolve('mnist-data/package.json')), 'data');
+
+const mulberry32 = (seed) => () => {
+  let t = (seed += 0x6d2b79f5);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const gaussian = (rand) => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+
+// --- DATA ---
+
+// IDX files: a big-endian header (magic, count, then rows and columns for images), then
+// one unsigned byte per label or pixel
+const readMnist = (prefix) => {
+  const images = fs.readFileSync(path.join(MNIST_DIR, `${prefix}-images-idx3-ubyte`));
+  const labels = fs.readFileSync(path.join(MNIST_DIR, `${prefix}-labels-idx1-ubyte`));
+  if (images.readUInt32BE(0) !== 2051 || labels.readUInt32BE(0) !== 2049) throw new Error(`${prefix}: not MNIST IDX files`);
+  const count = images.readUInt32BE(4);
+  const pixels = DIGIT_SIZE * DIGIT_SIZE;
+  return Array.from({ length: count }, (_, i) => ({
+    grid: Array.from(images.subarray(16 + i * pixels, 16 + (i + 1) * pixels), v => v / 255),
+    label: labels[8 + i],
+  }));
+};
+
+// 2x2 average, as if the digit had been drawn on the 14×14 grid
+const halve = (grid) => {
+  const half = DIGIT_SIZE / 2;
+  return Array.from({ length: half * half }, (_, i) => {
+    const x = 2 * (i % half);
+    const y = 2 * Math.floor(i / half);
+    return (grid[y * DIGIT_SIZE + x] + grid[y * DIGIT_SIZE + x + 1] + grid[(y + 1) * DIGIT_SIZE + x] + grid[(y + 1) * DIGIT_SIZE + x + 1]) / 4;
+  });
+};
+
+const augment = (set, seed) => {
+  const rand = mulberry32(seed);
+  return set.map(({ grid, label }) => {
+    let size = DIGIT_SIZE;
+    if (rand() < 0.25) {
+      grid = halve(grid);
+      size /= 2;
+    }
+    // Hard-edged strokes, like the drawing brush at full intensity
+    if (rand() < 0.25) grid = grid.map(v => (v > 0.5 ? 1 : 0));
+    return { input: Float32Array.from(toDigitInput(grid, size)), label };
+  });
+};
+
+const prepare = (set) => set.map(({ grid, label }) => ({ input: Float32Array.from(toDigitInput(grid, DIGIT_SIZE)), label }));
+
+// --- MODEL ---
+
+const rand = mulberry32(1);
+const params = {
+  convW: Float32Array.from({ length: FILTERS * K * K }, () => gaussian(rand) * Math.sqrt(2 / (K * K))),
+  convB: new Float32Array(FILTERS),
+  denseW: Float32Array.from({ length: CLASSES * FEATURES }, () => gaussian(rand) * Math.sqrt(1 / FEATURES)),
+  denseB: new Float32Array(CLASSES),
+};
+const grads = Object.fromEntries(Object.entries(params).map(([k, v]) => [k, new Float32Array(v.length)]));
+const adam = Object.fromEntries(Object.entries(params).map(([k, v]) => [k, { m: new Float32Array(v.length), v: new Float32Array(v.length) }]));
+
+const conv = new Float32Array(FILTERS * CONV_DIM * CONV_DIM);
+const pooled = new Float32Array(FEATURES);
+const argmax = new Int32Array(FEATURES);
+const logits = new Float32Array(CLASSES);
+
+const forward = (input) => {
+  for (let f = 0; f < FILTERS; f++) {
+    for (let y = 0; y < CONV_DIM; y++) {
+      for (let x = 0; x < CONV_DIM; x++) {
+        let sum = params.convB[f];
+        for (let ky = 0; ky < K; ky++) {
+          for (let kx = 0; kx < K; kx++) sum += input[(y + ky) * DIGIT_SIZE + x + kx] * params.convW[f * K * K + ky * K + kx];
+        }
+        conv[(f * CONV_DIM + y) * CONV_DIM + x] = Math.max(0, sum);
+      }
+    }
+    for (let y = 0; y < POOL_DIM; y++) {
+      for (let x = 0; x < POOL_DIM; x++) {
+        let best = -Infinity;
+        let at = 0;
+        for (let py = 0; py < 2; py++) {
+          for (let px = 0; px < 2; px++) {
+            const i = (f * CONV_DIM + 2 * y + py) * CONV_DIM + 2 * x + px;
+            if (conv[i] > best) { best = conv[i]; at = i; }
+          }
+        }
+        const o = (f * POOL_DIM + y) * POOL_DIM + x;
+        pooled[o] = best;
+        argmax[o] = at;
+      }
+    }
+  }
+  for (let k = 0; k < CLASSES; k++) {
+    let sum = params.denseB[k];
+    for (let i = 0; i < FEATURES; i++) sum += params.denseW[k * FEATURES + i] * pooled[i];
+    logits[k] = sum;
+  }
+  const peak = Math.max(...logits);
+  const exps = Array.from(logits, v => Math.exp(v - peak));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return exps.map(v => v / total);
+};
+
+// Softmax + cross-entropy: dL/dlogit = p - onehot. Max pooling routes each gradient to its
+// window's winner, and ReLU lets it through only where the conv output was positive
+const backward = (input, probs, label) => {
+  const dPooled = new Float32Array(FEATURES);
+  for (let k = 0; k < CLASSES; k++) {
+    const d = probs[k] - (k === label ? 1 : 0);
+    grads.denseB[k] += d;
+    for (let i = 0; i < FEATURES; i++) {
+      grads.denseW[k * FEATURES + i] += d * pooled[i];
+      dPooled[i] += d * params.denseW[k * FEATURES + i];
+    }
+  }
+  for (let o = 0; o < FEATURES; o++) {
+    const i = argmax[o];
+    if (conv[i] <= 0 || dPooled[o] === 0) continue;
+    const f = Math.floor(i / (CONV_DIM * CONV_DIM));
+    const y = Math.floor(i / CONV_DIM) % CONV_DIM;
+    const x = i % CONV_DIM;
+    grads.convB[f] += dPooled[o];
+    for (let ky = 0; ky < K; ky++) {
+      for (let kx = 0; kx < K; kx++) grads.convW[f * K * K + ky * K + kx] += dPooled[o] * input[(y + ky) * DIGIT_SIZE + x + kx];
+    }
+  }
+};
+
+let step = 0;
+const update = (batchSize) => {
+  step += 1;
+  const [b1, b2, eps] = [0.9, 0.999, 1e-8];
+  Object.keys(params).forEach(key => {
+    const p = params[key];
+    const g = grads[key];
+    const { m, v } = adam[key];
+    for (let i = 0; i < p.length; i++) {
+      const gi = g[i] / batchSize;
+      m[i] = b1 * m[i] + (1 - b1) * gi;
+      v[i] = b2 * v[i] + (1 - b2) * gi * gi;
+      p[i] -= (LEARNING_RATE * (m[i] / (1 - b1 ** step))) / (Math.sqrt(v[i] / (1 - b2 ** step)) + eps);
+      g[i] = 0;
+    }
+  });
+};
+
+// --- TRAINING ---
+
+const train = augment(readMnist('train'), 2);
+const test = prepare(readMnist('t10k'));
+const accuracy = (set) => set.filter(({ input, label }) => {
+  const probs = forward(input);
+  return probs.indexOf(Math.max(...probs)) === label;
+}).length / set.length;
+
+const shuffle = mulberry32(4);
+for (let epoch = 1; epoch <= EPOCHS; epoch++) {
+  for (let i = train.length - 1; i > 0; i--) {
+    const j = Math.floor(shuffle() * (i + 1));
+    [train[i], train[j]] = [train[j], train[i]];
+  }
+  let loss = 0;
+  for (let start = 0; start < train.length; start += BATCH) {
+    const batch = train.slice(start, start + BATCH);
+    batch.forEach(({ input, label }) => {
+      const probs = forward(input);
+      loss -= Math.log(probs[label] + 1e-12);
+      backward(input, probs, label);
+    });
+    update(batch.length);
+  }
+  console.log(`epoch ${epoch}: loss ${(loss / train.length).toFixed(4)}, test accuracy ${(accuracy(test) * 100).toFixed(1)}%`);
+}
+
+// --- EXPORT ---
+
+const round = (v) => Math.round(v * 1e4) / 1e4;
+const model = {
+  name: 'Tiny digit CNN',
+  trainedOn: `MNIST training set (${train.length} digits), ${EPOCHS} epochs`,
+  testAccuracy: round(accuracy(test)),
+  conv: {
+    filters: Array.from({ length: FILTERS }, (_, f) => ({
+      kernel: Array.from({ length: K }, (_, ky) => Array.from({ length: K }, (_, kx) => round(params.convW[f * K * K + ky * K + kx]))),
+      bias: round(params.convB[f]),
+    })),
+  },
+  pool: { type: 'max', size: 2, stride: 2 },
+  dense: {
+    weights: Array.from({ length: CLASSES }, (_, k) => Array.from(params.denseW.subarray(k * FEATURES, (k + 1) * FEATURES), round)),
+    bias: Array.from(params.denseB, round),
+  },
+};
+
+// The rounded model must still agree with this script's forward pass
+const agree = test.filter(({ input }) => {
+  const ours = forward(input);
+  const { probs } = classifyDigit(model, input);
+  return ours.indexOf(Math.max(...ours)) === probs.indexOf(Math.max(...probs));
+}).length / test.length;
+console.log(`rounded model agrees on ${(agree * 100).toFixed(1)}% of test digits`);
+
+fs.writeFileSync(OUT_FILE, `${JSON.stringify(model)}\n`);
+console.log(`wrote ${OUT_FILE.pathname}`);
@@ -1,69 +1,1720 @@
-import React, { useState, useMemo, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
 import { 
   Play, Pause, Microscope, 
   ArrowRight, Eraser, Activity, Grid, MousePointer2,
   Hash, Upload, Image as ImageIcon, Sun, Moon,
-  Calculator
+  Calculator, Plus, Trash2, Save, X, Library, Pencil, Layers,
+  SkipBack, SkipForward, StepBack, StepForward, Square,
+  Link, Download, FileJson, Check, GalleryThumbnails,
+  Paintbrush, Minus, RectangleHorizontal, PaintBucket, Crosshair, Undo2, Redo2,
+  GraduationCap, Shuffle, SplitSquareVertical, Waves, Brain
 } from 'lucide-react';
+import { SAMPLE_GALLERY } from './samples';
+import { lineCells, rectCells, stampCells, floodFill } from './drawing';
+import {
+  PADDING_PRESETS, PADDING_MODES, resolvePadIndex, samplePadded, ACTIVATIONS, defaultAlpha,
+  kernelSlices, kernelExtent, convForward, convBackward, filterOptions,
+  pointwiseWeights, convolveFilters, convPixelMath, POOLING,
+  generateFilters, generateLibraryKernels, stackConvKernels, runPipeline, blankPipeline,
+  conv2d, dft2d, idft2d, embedKernel, correlateSpectra, spectrumView, bandGains, DIGIT_SIZE, toDigitInput, classifyDigit, digitSaliency,
+} from './engine';
+import digitModel from './models/digit-cnn.json';
 
 // --- MATH & LOGIC ENGINE ---
 
-// Helper to generate filters based on size
-const generateFilters = (kSize) => {
-  const center = Math.floor(kSize / 2);
-  
-  // 1. Horizontal Edge
-  const horiz = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
-  for(let y=0; y<kSize; y++) {
-    for(let x=0; x<kSize; x++) {
-      if (y < center) horiz[y][x] = -1;
-      else if (y > center) horiz[y][x] = -1;
-      else horiz[y][x] = 2;
+// Shared depthwise kernels a fresh separable layer starts with: a different job per channel
+const defaultDepthwiseKernels = (kSize) => {
+  const library = generateLibraryKernels(kSize);
+  return ['Sobel X', 'Sobel Y', 'Gaussian Blur'].map(name => library.find(k => k.name === name).kernel);
+};
+
+// Per-channel kernels of the standard conv a filter amounts to. In the separable form that is
+// depthwise kernel c scaled by the filter's pointwise weight c
+const equivalentSlices = (filter, channelCount, depthwise) => {
+  if (!depthwise) return kernelSlices(filter, channelCount);
+  const pointwise = pointwiseWeights(filter, channelCount);
+  return depthwise.map((kernel, c) => kernel.map(row => row.map(w => w * pointwise[c])));
+};
+
+// --- BACKGROUND COMPUTE ---
+// One worker, at most one job in flight. A job submitted while it's busy waits in a single
+// slot, replacing whatever stale job was waiting there, so a fast stroke only ever
+// computes the newest grid. The input is copied and its buffer transferred, as are the
+// result buffers on the way back
+const createPipelineClient = (onResult, onError) => {
+  let worker = null;
+  let busy = false;
+  let waiting = null;
+
+  const post = (job) => {
+    const input = job.input.slice();
+    busy = true;
+    waiting = null;
+    worker.postMessage({ ...job, input }, [input.buffer]);
+  };
+
+  const spawn = () => {
+    worker = new Worker(new URL('./engine/pipeline.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      busy = false;
+      if (data.error) onError(data.error);
+      else onResult(data);
+      if (waiting) post(waiting);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      busy = false;
+      waiting = null;
+      onError(e.message);
+    };
+  };
+
+  spawn();
+  return {
+    submit: (job) => {
+      if (busy) waiting = job;
+      else post(job);
+    },
+    // Drop the waiting job and abandon the one in flight (a fresh worker replaces the busy one)
+    cancel: () => {
+      waiting = null;
+      if (!busy) return;
+      worker.terminate();
+      busy = false;
+      spawn();
+    },
+    dispose: () => worker.terminate(),
+  };
+};
+
+// How long edits must pause before the side views (compare, frequency, backward pass, digit
+// classifier, saliency) catch up
+const SETTLE_MS = 150;
+
+// useMemo for side views too slow to redo on every step of a drag: the value is recomputed
+// once deps have been still for SETTLE_MS and the last one stays up meanwhile, so a view
+// carries the sizes it was computed for. With nothing on screen yet it computes straight
+// away; while `enabled` is false it computes nothing and returns null
+const useSettledMemo = (compute, deps, enabled = true) => {
+  const [value, setValue] = useState(() => (enabled ? compute() : null));
+  const fresh = useRef(enabled);
+  useEffect(() => {
+    if (fresh.current) {
+      fresh.current = false;
+      return;
+    }
+    if (!enabled) {
+      setValue(null);
+      return;
+    }
+    if (value === null) {
+      setValue(compute());
+      return;
+    }
+    const timer = setTimeout(() => setValue(compute()), SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [enabled, ...deps]);
+  return enabled ? value : null;
+};
+
+// Saved kernels survive reloads via localStorage
+const LIBRARY_STORAGE_KEY = 'deeplab.kernelLibrary';
+
+const loadSavedKernels = () => {
+  try {
+    const raw = window.localStorage.getItem(LIBRARY_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.filter(k => k && typeof k.name === 'string' && Array.isArray(k.kernel)) : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeSavedKernels = (kernels) => {
+  try {
+    window.localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(kernels));
+  } catch {
+    // Storage full or disabled (private mode) - library just won't persist
+  }
+};
+
+// Integers print as-is, fractional weights (blurs) get trimmed
+const formatWeight = (w) => Number.isInteger(w) ? String(w) : w.toFixed(3).replace(/0+$/, '');
+
+// Input resolutions offered in the top bar (28 is MNIST-native)
+const GRID_SIZES = [7, 14, 28, 64];
+
+// Cell size that fits `dim` cells into roughly `target` pixels, capped at the classic sizes
+const fitCellSize = (dim, target, max) => Math.max(2, Math.min(max, Math.floor(target / Math.max(dim, 1))));
+
+// --- INPUT CHANNELS ---
+// RGB inputs live in inputGrid channel-major (all R, then all G, then all B), so
+// channel 0 sits exactly where the grayscale grid does
+
+const CHANNELS = [
+  { name: 'Red', short: 'R', color: '#ef4444' },
+  { name: 'Green', short: 'G', color: '#22c55e' },
+  { name: 'Blue', short: 'B', color: '#3b82f6' },
+];
+
+// --- DIGIT CLASSIFIER ---
+// The bundled CNN's first-layer kernels can join the conv layer as ordinary filters, so
+// learned and hand-made kernels sit side by side. They are 3x3, like the model's conv
+const LEARNED_PREFIX = 'learned-';
+const LEARNED_KERNEL_SIZE = digitModel.conv.filters[0].kernel.length;
+
+const learnedFilters = () => Object.fromEntries(digitModel.conv.filters.map(({ kernel, bias }, i) => [
+  `${LEARNED_PREFIX}${i}`,
+  { name: `Learned ${i + 1}`, kernel: kernel.map(row => [...row]), bias, activation: 'relu', alpha: defaultAlpha('relu') },
+]));
+
+const DigitPredictor = ({ prediction, learnedShown, onToggleLearned, theme }) => {
+  const { input, probs } = prediction;
+  const blank = input.every(v => v === 0);
+  const top = probs.indexOf(Math.max(...probs));
+  return (
+    <div className={`w-full p-3 rounded-lg border ${theme === 'dark' ? 'bg-slate-950/50 border-slate-800' : 'bg-white border-slate-300'}`}>
+      <div className="flex items-center justify-between mb-3">
+        <span className="text-[10px] text-slate-500 uppercase font-bold flex items-center gap-1">
+          <Brain className="w-3 h-3 text-pink-400" /> Digit Classifier
+        </span>
+        <button
+          onClick={onToggleLearned}
+          className={`text-[10px] px-2 py-0.5 rounded border transition-colors ${learnedShown ? 'bg-pink-900/50 text-pink-300 border-pink-700' : 'bg-pink-900/20 hover:bg-pink-900/40 text-pink-400 border-pink-900'}`}
+          title={`Add the model's ${digitModel.conv.filters.length} learned 3x3 kernels to the convolution layer`}
+        >
+          {learnedShown ? 'Hide' : 'Show'} Learned Kernels
+        </button>
+      </div>
+      <div className="flex items-center gap-4">
+        <div className="flex flex-col items-center gap-1">
+          <GridVisualizer theme={theme} data={input} dim={DIGIT_SIZE} cellSize={3} />
+          <span className="text-[10px] text-slate-500 font-mono">{DIGIT_SIZE}x{DIGIT_SIZE} input</span>
+        </div>
+        <div className="flex-1 space-y-0.5">
+          {probs.map((p, digit) => (
+            <div key={digit} className="flex items-center gap-2 text-[10px] font-mono">
+              <span className={digit === top && !blank ? 'text-pink-400 font-bold' : 'text-slate-500'}>{digit}</span>
+              <div className={`flex-1 h-2 rounded ${theme === 'dark' ? 'bg-slate-800' : 'bg-slate-200'}`}>
+                <div className={`h-2 rounded ${digit === top ? 'bg-pink-500' : 'bg-slate-500'}`} style={{ width: `${p * 100}%` }} />
+              </div>
+              <span className="w-10 text-right text-slate-500">{(p * 100).toFixed(1)}%</span>
+            </div>
+          ))}
+        </div>
+      </div>
+      <p className="mt-2 text-[10px] text-slate-500">
+        {blank ? 'Draw a digit to classify it.' : <>Prediction: <span className="text-pink-400 font-bold">{top}</span> ({(probs[top] * 100).toFixed(1)}%).</>}
+        {' '}Conv {digitModel.conv.filters.length}×3x3 → ReLU → max pool 2 → dense 10 → softmax, trained on the MNIST training set;
+        {' '}{(digitModel.testAccuracy * 100).toFixed(1)}% correct on the 10,000 MNIST test digits.
+      </p>
+    </div>
+  );
+};
+
+// --- LAYER STACK ---
+// Extra layers appended after the first conv + pool. Each entry is a plain spec object;
+// weights for stacked conv layers are derived from the spec so they always match the
+// current number of input channels.
+
+const LAYER_TYPES = {
+  conv: { label: 'Conv', color: '#10b981' },
+  activation: { label: 'Activation', color: '#3b82f6' },
+  pool: { label: 'Pool', color: '#f59e0b' },
+  batchnorm: { label: 'BatchNorm', color: '#a855f7' },
+};
+
+const createLayer = (type) => {
+  switch (type) {
+    case 'conv': return { type, kernelSize: 3, stride: 1, padding: 0, outChannels: 4 };
+    case 'activation': return { type, fn: 'relu', alpha: defaultAlpha('relu') };
+    case 'pool': return { type, poolType: 'max', size: 2, stride: 2 };
+    case 'batchnorm': return { type, eps: 1e-5 };
+    default: throw new Error(`Unknown layer type: ${type}`);
+  }
+};
+
+// Maps an output region {x0, y0, x1, y1} (inclusive) to the input region the layer reads.
+// Used to trace receptive fields back through the whole pipeline
+const traceRegionBack = (layer, r) => {
+  switch (layer.type) {
+    case 'conv': {
+      const { kernelSize, stride, padding, dilation } = layer;
+      const k = kernelExtent(kernelSize, dilation);
+      return {
+        x0: r.x0 * stride - padding, y0: r.y0 * stride - padding,
+        x1: r.x1 * stride - padding + k - 1, y1: r.y1 * stride - padding + k - 1,
+      };
+    }
+    case 'pool': {
+      const { size, stride } = layer;
+      return {
+        x0: r.x0 * stride, y0: r.y0 * stride,
+        x1: r.x1 * stride + size - 1, y1: r.y1 * stride + size - 1,
+      };
+    }
+    default:
+      return r;
+  }
+};
+
+// Compact labelled button group used by the stacked layer controls
+const OptionGroup = ({ label, options, value, onChange, activeClass = 'bg-blue-600 text-white' }) => (
+  <div className="flex flex-col items-center gap-1">
+    <span className="text-[10px] text-slate-500 uppercase font-bold">{label}</span>
+    <div className="flex bg-slate-800 rounded p-0.5">
+      {options.map(opt => (
+        <button key={opt.value} onClick={() => onChange(opt.value)} className={`px-2 py-0.5 rounded text-xs ${value === opt.value ? activeClass : 'text-slate-400 hover:text-white'}`}>{opt.label}</button>
+      ))}
+    </div>
+  </div>
+);
+
+// --- ACTIVATION CONTROLS ---
+
+// Function picker plus, for parametric activations, an alpha slider. Picking a new
+// function resets alpha to that function's default. With inheritLabel set, fn may be null
+// ("use the layer's activation"), offered as the first option
+const ActivationSelect = ({ fn, alpha, onChange, inheritLabel, theme }) => {
+  const spec = fn && ACTIVATIONS[fn].alpha;
+  return (
+    <div className="flex flex-col gap-1">
+      <select
+        value={fn ?? ''}
+        onChange={(e) => onChange(e.target.value ? { fn: e.target.value, alpha: defaultAlpha(e.target.value) } : { fn: null })}
+        className={`border ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-800'} text-xs rounded py-1 px-1 outline-none w-28`}
+      >
+        {inheritLabel && <option value="">{inheritLabel}</option>}
+        {Object.entries(ACTIVATIONS).map(([key, act]) => <option key={key} value={key}>{act.label}</option>)}
+      </select>
+      {spec && (
+        <label className="flex items-center gap-1 text-[10px] text-slate-500 font-mono" title="Alpha">
+          α
+          <input type="range" min={spec.min} max={spec.max} step={spec.step} value={Math.min(spec.max, Math.max(spec.min, alpha))} onChange={(e) => onChange({ fn, alpha: Number(e.target.value) })} className="w-16 accent-blue-500" />
+          <span className="w-8">{roundTo(alpha, 3)}</span>
+        </label>
+      )}
+    </div>
+  );
+};
+
+// Plot of an activation (solid) and its derivative (dashed). `marker` pins a pre-activation
+// value, e.g. the hovered pixel's sum; when interactive, the cursor reads off f(x) and f'(x)
+const ActivationPlot = ({ fn, alpha, marker = null, width = 64, height = 40, interactive = false, theme }) => {
+  const [cursor, setCursor] = useState(null);
+  const { fn: f, grad } = ACTIVATIONS[fn];
+  const reach = Math.min(20, Math.max(4, marker !== null && Number.isFinite(marker) ? Math.abs(marker) * 1.2 : 0));
+  const samples = Array.from({ length: 121 }, (_, i) => -reach + (2 * reach * i) / 120);
+  const ys = samples.map(x => f(x, alpha));
+  const dys = samples.map(x => grad(x, alpha));
+  let lo = Math.min(0, ...ys, ...(interactive ? dys : []));
+  let hi = Math.max(1, ...ys, ...(interactive ? dys : []));
+  const padY = (hi - lo) * 0.08;
+  lo -= padY;
+  hi += padY;
+  const sx = (x) => ((x + reach) / (2 * reach)) * width;
+  const sy = (y) => height - ((y - lo) / (hi - lo)) * height;
+  const line = (vals) => vals.map((y, i) => `${sx(samples[i]).toFixed(1)},${sy(y).toFixed(1)}`).join(' ');
+  const axis = theme === 'dark' ? '#475569' : '#94a3b8';
+  const readout = (x) => `x=${x.toFixed(2)}  f=${f(x, alpha).toFixed(3)}  f′=${grad(x, alpha).toFixed(3)}`;
+
+  return (
+    <div className={`rounded border relative overflow-hidden ${theme === 'dark' ? 'bg-slate-900 border-slate-700' : 'bg-white border-slate-300'}`} style={{ width, height: interactive ? height + 16 : height }}>
+      <svg
+        width={width}
+        height={height}
+        viewBox={`0 0 ${width} ${height}`}
+        className="text-blue-500 block"
+        onMouseMove={interactive ? (e) => {
+          const rect = e.currentTarget.getBoundingClientRect();
+          setCursor(-reach + ((e.clientX - rect.left) / rect.width) * 2 * reach);
+        } : undefined}
+        onMouseLeave={interactive ? () => setCursor(null) : undefined}
+      >
+        <line x1="0" y1={sy(0)} x2={width} y2={sy(0)} stroke={axis} strokeWidth="1" />
+        <line x1={sx(0)} y1="0" x2={sx(0)} y2={height} stroke={axis} strokeWidth="1" />
+        {interactive && <polyline points={line(dys)} fill="none" stroke="#a855f7" strokeWidth="1" strokeDasharray="3 2" />}
+        <polyline points={line(ys)} fill="none" stroke="currentColor" strokeWidth={interactive ? 2 : 1.5} />
+        {marker !== null && Number.isFinite(marker) && (
+          <g>
+            <line x1={sx(marker)} y1="0" x2={sx(marker)} y2={height} stroke="#f59e0b" strokeWidth="1" strokeDasharray="2 2" />
+            <circle cx={sx(marker)} cy={sy(f(marker, alpha))} r="3.5" fill="#f59e0b" />
+          </g>
+        )}
+        {cursor !== null && (
+          <circle cx={sx(cursor)} cy={sy(f(cursor, alpha))} r="2.5" fill="white" stroke="currentColor" />
+        )}
+      </svg>
+      {interactive && (
+        <div className="px-1 text-[10px] font-mono text-slate-500 truncate">
+          {cursor !== null ? readout(cursor) : marker !== null && Number.isFinite(marker) ? readout(marker) : 'f solid · f′ dashed'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- WORKBENCH STATE ---
+// The whole workbench serializes to one versioned JSON document. The same document backs
+// "Export JSON"/"Import JSON" and the URL hash (deflated and base64url-encoded there)
+
+const WORKBENCH_FORMAT = 'deeplab-workbench';
+const WORKBENCH_VERSION = 1;
+const HASH_KEY = 'w';
+
+const roundTo = (v, places) => {
+  const f = 10 ** places;
+  return Math.round(v * f) / f;
+};
+
+const serializeWorkbench = (st) => ({
+  format: WORKBENCH_FORMAT,
+  version: WORKBENCH_VERSION,
+  theme: st.theme,
+  input: {
+    size: st.gridSize,
+    channels: st.colorMode === 'rgb' ? 3 : 1,
+    data: Array.from(st.inputGrid, v => roundTo(v, 3)),
+  },
+  layer: {
+    kernelSize: st.kernelSize,
+    stride: st.stride,
+    padding: { preset: st.paddingMode, amount: st.customPadding },
+    padMode: st.padMode,
+    dilation: st.dilation,
+    mode: st.separable ? 'separable' : 'standard',
+    ...(st.separable ? { depthwise: st.depthwiseKernels.map(k => k.map(row => row.map(w => roundTo(w, 4)))) } : {}),
+    activation: st.activation,
+    activationAlpha: st.activationAlpha,
+  },
+  filters: Object.entries(st.filters).map(([key, f]) => ({
+    name: f.name,
+    ...(key.startsWith(LEARNED_PREFIX) ? { learned: true } : {}),
+    kernel: f.kernel.map(row => row.map(w => roundTo(w, 4))),
+    ...(f.channels ? { channels: f.channels.map(k => k.map(row => row.map(w => roundTo(w, 4)))) } : {}),
+    bias: roundTo(f.bias ?? 0, 4),
+    ...(f.pointwise ? { pointwise: f.pointwise.map(w => roundTo(w, 4)) } : {}),
+    ...(f.activation ? { activation: f.activation, alpha: f.alpha ?? defaultAlpha(f.activation) } : {}),
+  })),
+  pool: { type: st.poolType, size: st.poolSize, stride: st.poolStride },
+  stack: st.stackLayers,
+  view: { colorMap: st.colorMapName, normalization: st.normalization, showValues: st.showValues },
+});
+
+// Validates a parsed document and returns workbench state. Throws one Error listing every problem
+const parseWorkbench = (doc) => {
+  const errors = [];
+  const fail = (path, msg) => errors.push(`${path}: ${msg}`);
+  const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+  const isKernel = (k, size) => Array.isArray(k) && k.length === size &&
+    k.every(row => Array.isArray(row) && row.length === size && row.every(Number.isFinite));
+
+  if (!isObj(doc) || doc.format !== WORKBENCH_FORMAT) {
+    throw new Error(`Not a DeepLab workbench file (expected "format": "${WORKBENCH_FORMAT}")`);
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) fail('version', 'must be a positive integer');
+  else if (doc.version > WORKBENCH_VERSION) fail('version', `file is version ${doc.version}, this tool reads up to ${WORKBENCH_VERSION}`);
+
+  const input = isObj(doc.input) ? doc.input : (fail('input', 'missing'), {});
+  if (!GRID_SIZES.includes(input.size)) fail('input.size', `must be one of ${GRID_SIZES.join(', ')}`);
+  if (input.channels !== 1 && input.channels !== 3) fail('input.channels', 'must be 1 or 3');
+  const expected = (input.size || 0) ** 2 * (input.channels || 0);
+  if (!Array.isArray(input.data) || input.data.length !== expected || !input.data.every(Number.isFinite)) {
+    fail('input.data', `must be ${expected} numbers`);
+  }
+
+  const layer = isObj(doc.layer) ? doc.layer : (fail('layer', 'missing'), {});
+  if (![3, 5].includes(layer.kernelSize)) fail('layer.kernelSize', 'must be 3 or 5');
+  if (!isInt(layer.stride, 1, 4)) fail('layer.stride', 'must be an integer from 1 to 4');
+  const dilation = layer.dilation ?? 1;
+  if (!isInt(dilation, 1, 4)) fail('layer.dilation', 'must be an integer from 1 to 4');
+  const pad = isObj(layer.padding) ? layer.padding : {};
+  if (!(pad.preset in PADDING_PRESETS) && pad.preset !== 'custom') fail('layer.padding.preset', `must be one of ${[...Object.keys(PADDING_PRESETS), 'custom'].join(', ')}`);
+  if (!isInt(pad.amount, 0, kernelExtent(layer.kernelSize || 1, isInt(dilation, 1, 4) ? dilation : 1) - 1)) fail('layer.padding.amount', 'must be an integer below the (dilated) kernel extent');
+  if (!(layer.padMode in PADDING_MODES)) fail('layer.padMode', `must be one of ${Object.keys(PADDING_MODES).join(', ')}`);
+  if (!(layer.activation in ACTIVATIONS)) fail('layer.activation', `must be one of ${Object.keys(ACTIVATIONS).join(', ')}`);
+  if (layer.activationAlpha !== undefined && !Number.isFinite(layer.activationAlpha)) fail('layer.activationAlpha', 'must be a number');
+  const mode = layer.mode ?? 'standard';
+  if (mode !== 'standard' && mode !== 'separable') fail('layer.mode', 'must be "standard" or "separable"');
+  if (mode === 'separable') {
+    if (input.channels !== 3) fail('layer.mode', 'separable convolution needs a 3-channel input');
+    if (!(Array.isArray(layer.depthwise) && layer.depthwise.length === 3 && layer.depthwise.every(k => isKernel(k, layer.kernelSize)))) {
+      fail('layer.depthwise', `must be three ${layer.kernelSize}x${layer.kernelSize} grids`);
     }
   }
 
-  // 2. Vertical Edge
-  const vert = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
-  for(let y=0; y<kSize; y++) {
-    for(let x=0; x<kSize; x++) {
-      if (x < center) vert[y][x] = -1;
-      else if (x > center) vert[y][x] = -1;
-      else vert[y][x] = 2;
-    }
-  }
+  if (!Array.isArray(doc.filters) || doc.filters.length === 0) {
+    fail('filters', 'must be a non-empty list');
+  } else {
+    doc.filters.forEach((f, i) => {
+      if (!isObj(f) || typeof f.name !== 'string') return fail(`filters[${i}].name`, 'must be a string');
+      if (!isKernel(f.kernel, layer.kernelSize)) fail(`filters[${i}].kernel`, `must be a ${layer.kernelSize}x${layer.kernelSize} grid of numbers`);
+      if (f.channels !== undefined && !(Array.isArray(f.channels) && f.channels.length === 3 && f.channels.every(k => isKernel(k, layer.kernelSize)))) {
+        fail(`filters[${i}].channels`, `must be three ${layer.kernelSize}x${layer.kernelSize} grids`);
+      }
+      if (f.bias !== undefined && !Number.isFinite(f.bias)) fail(`filters[${i}].bias`, 'must be a number');
+      if (f.activation !== undefined && !(f.activation in ACTIVATIONS)) fail(`filters[${i}].activation`, `must be one of ${Object.keys(ACTIVATIONS).join(', ')}`);
+      if (f.alpha !== undefined && !Number.isFinite(f.alpha)) fail(`filters[${i}].alpha`, 'must be a number');
+      if (f.learned !== undefined && typeof f.learned !== 'boolean') fail(`filters[${i}].learned`, 'must be true or false');
+      if (f.pointwise !== undefined && !(Array.isArray(f.pointwise) && f.pointwise.length === input.channels && f.pointwise.every(Number.isFinite))) {
+        fail(`filters[${i}].pointwise`, `must be ${input.channels} numbers`);
+      }
+    });
+  }
+
+  const pool = isObj(doc.pool) ? doc.pool : (fail('pool', 'missing'), {});
+  if (!(pool.type in POOLING)) fail('pool.type', `must be one of ${Object.keys(POOLING).join(', ')}`);
+  if (![2, 3].includes(pool.size)) fail('pool.size', 'must be 2 or 3');
+  if (!isInt(pool.stride, 1, 3)) fail('pool.stride', 'must be an integer from 1 to 3');
+
+  const stack = Array.isArray(doc.stack) ? doc.stack : (doc.stack === undefined ? [] : (fail('stack', 'must be a list'), []));
+  const stackLayers = stack.map((l, i) => {
+    if (!isObj(l) || !(l.type in LAYER_TYPES)) {
+      fail(`stack[${i}].type`, `must be one of ${Object.keys(LAYER_TYPES).join(', ')}`);
+      return null;
+    }
+    // Only the fields a fresh layer of this type has are read; anything else is reported
+    const defaults = createLayer(l.type);
+    Object.keys(l).filter(key => !(key in defaults)).forEach(key => fail(`stack[${i}].${key}`, `is not a ${l.type} layer field`));
+    const merged = Object.fromEntries(Object.entries(defaults).map(([key, v]) => [key, l[key] ?? v]));
+    if (l.type === 'activation' && l.alpha === undefined && merged.fn in ACTIVATIONS) merged.alpha = defaultAlpha(merged.fn);
+    if (l.type === 'conv' && (![3, 5].includes(merged.kernelSize) || !isInt(merged.stride, 1, 2) || !isInt(merged.padding, 0, merged.kernelSize - 1) || !isInt(merged.outChannels, 1, 16))) {
+      fail(`stack[${i}]`, 'conv layer needs kernelSize 3|5, stride 1-2, padding below kernelSize and 1-16 outChannels');
+    }
+    if (l.type === 'activation' && !(merged.fn in ACTIVATIONS)) fail(`stack[${i}].fn`, `must be one of ${Object.keys(ACTIVATIONS).join(', ')}`);
+    const alphaRange = l.type === 'activation' && ACTIVATIONS[merged.fn]?.alpha;
+    if (l.type === 'activation' && !Number.isFinite(merged.alpha)) fail(`stack[${i}].alpha`, 'must be a number');
+    else if (alphaRange && (merged.alpha < alphaRange.min || merged.alpha > alphaRange.max)) {
+      fail(`stack[${i}].alpha`, `must be between ${alphaRange.min} and ${alphaRange.max} for ${merged.fn}`);
+    }
+    if (l.type === 'pool' && (!(merged.poolType in POOLING) || ![2, 3].includes(merged.size) || !isInt(merged.stride, 1, 3))) {
+      fail(`stack[${i}]`, 'pool layer needs poolType max|avg|min, size 2|3 and stride 1-3');
+    }
+    if (l.type === 'batchnorm' && !(Number.isFinite(merged.eps) && merged.eps > 0)) fail(`stack[${i}].eps`, 'must be a positive number');
+    return merged;
+  });
+
+  const view = isObj(doc.view) ? doc.view : {};
+  if (doc.theme !== undefined && doc.theme !== 'dark' && doc.theme !== 'light') fail('theme', 'must be "dark" or "light"');
+  if (view.colorMap !== undefined && !(view.colorMap in COLOR_MAPS)) fail('view.colorMap', `must be one of ${Object.keys(COLOR_MAPS).join(', ')}`);
+  if (view.normalization !== undefined && !(view.normalization in NORMALIZATIONS)) fail('view.normalization', `must be one of ${Object.keys(NORMALIZATIONS).join(', ')}`);
+
+  if (errors.length) throw new Error(errors.join('\n'));
+
+  return {
+    theme: doc.theme || 'dark',
+    gridSize: input.size,
+    colorMode: input.channels === 3 ? 'rgb' : 'gray',
+    inputGrid: Float32Array.from(input.data, v => Math.min(1, Math.max(0, v))),
+    kernelSize: layer.kernelSize,
+    stride: layer.stride,
+    paddingMode: pad.preset,
+    customPadding: pad.amount,
+    padMode: layer.padMode,
+    dilation,
+    convMode: mode,
+    depthwiseKernels: mode === 'separable' ? layer.depthwise : null,
+    activation: layer.activation,
+    activationAlpha: layer.activationAlpha ?? (layer.activation in ACTIVATIONS ? defaultAlpha(layer.activation) : 0),
+    filters: Object.fromEntries(doc.filters.map((f, i) => [`${f.learned ? LEARNED_PREFIX : 'loaded-'}${i}`, {
+      name: f.name,
+      kernel: f.kernel,
+      ...(f.channels ? { channels: f.channels } : {}),
+      bias: f.bias ?? 0,
+      ...(f.pointwise ? { pointwise: f.pointwise } : {}),
+      ...(f.activation ? { activation: f.activation, alpha: f.alpha ?? defaultAlpha(f.activation) } : {}),
+    }])),
+    poolType: pool.type,
+    poolSize: pool.size,
+    poolStride: pool.stride,
+    stackLayers,
+    colorMapName: view.colorMap || 'grayscale',
+    normalization: view.normalization || 'raw',
+    showValues: view.showValues !== undefined ? !!view.showValues : true,
+  };
+};
+
+const toBase64Url = (bytes) => {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+};
+
+// 'z' prefix: deflate-raw compressed. 'j' prefix: plain JSON, for browsers without CompressionStream
+const encodeWorkbenchHash = async (doc) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(doc));
+  if (typeof CompressionStream === 'undefined') return `j${toBase64Url(bytes)}`;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return `z${toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()))}`;
+};
+
+const decodeWorkbenchHash = async (payload) => {
+  const bytes = fromBase64Url(payload.slice(1));
+  if (payload[0] === 'z') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return JSON.parse(await new Response(stream).text());
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+const readHashPayload = () => new URLSearchParams(window.location.hash.slice(1)).get(HASH_KEY);
+
+// --- COLOUR SCALES ---
+// Feature maps are not confined to [0, 1]: negative sums and large weights need a
+// colour map plus a choice of how values are normalized onto it
+
+const lerpStops = (stops, t) => {
+  const pos = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(pos));
+  const f = pos - i;
+  return stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+};
+
+// Saliency overlay: dark red through orange to pale yellow
+const SALIENCY_STOPS = [[127, 0, 0], [215, 48, 31], [252, 141, 89], [253, 212, 158], [255, 247, 236]];
+
+const COLOR_MAPS = {
+  grayscale: { label: 'Grayscale', color: (t) => { const v = Math.round(Math.min(1, Math.max(0, t)) * 255); return [v, v, v]; } },
+  viridis: {
+    label: 'Viridis',
+    color: (t) => lerpStops([
+      [68, 1, 84], [71, 45, 123], [59, 82, 139], [44, 114, 142], [33, 145, 140],
+      [40, 174, 128], [94, 201, 98], [173, 220, 48], [253, 231, 37],
+    ], t),
+  },
+  // Blue for negative, white at zero, red for positive
+  diverging: {
+    label: 'Diverging',
+    color: (t) => lerpStops([
+      [33, 102, 172], [103, 169, 207], [209, 229, 240], [247, 247, 247],
+      [253, 219, 199], [239, 138, 98], [178, 24, 43],
+    ], t),
+  },
+};
+
+const NORMALIZATIONS = {
+  raw: 'Raw (clamp)',
+  minmax: 'Per-map min/max',
+  absmax: 'Symmetric abs-max',
+};
+
+// Value range [lo, hi] that the colour map spans, plus the map's actual min/max.
+// Raw clamps to [0, 1], or [-1, 1] on the diverging map so zero stays centred
+const colorRange = (data, normalization, colorMap) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+  if (!data.length) { min = 0; max = 0; }
+
+  let lo;
+  let hi;
+  if (normalization === 'minmax') {
+    lo = min; hi = max;
+  } else if (normalization === 'absmax') {
+    const m = Math.max(Math.abs(min), Math.abs(max));
+    lo = -m; hi = m;
+  } else {
+    lo = colorMap === 'diverging' ? -1 : 0; hi = 1;
+  }
+  // Flat maps would divide by zero; widen them symmetrically
+  if (hi - lo < 1e-9) { lo -= 0.5; hi += 0.5; }
+  return { colorMap, lo, hi, min, max };
+};
+
+const scaleColor = (scale, v) => COLOR_MAPS[scale.colorMap].color((v - scale.lo) / (scale.hi - scale.lo));
+
+const ColorLegend = ({ scale, theme }) => {
+  const stops = Array.from({ length: 11 }, (_, i) => `rgb(${COLOR_MAPS[scale.colorMap].color(i / 10).join(', ')})`);
+  const pos = (v) => `${Math.min(1, Math.max(0, (v - scale.lo) / (scale.hi - scale.lo))) * 100}%`;
+  return (
+    <div className="w-full max-w-[220px] mt-1">
+      <div className={`relative h-2 rounded-sm border ${theme === 'dark' ? 'border-slate-700' : 'border-slate-400'}`} style={{ background: `linear-gradient(to right, ${stops.join(', ')})` }}>
+        {/* Ticks for the values actually present in the map */}
+        <div className="absolute -top-0.5 w-0.5 h-3 bg-amber-400" style={{ left: pos(scale.min) }} title={`min ${scale.min.toFixed(3)}`} />
+        <div className="absolute -top-0.5 w-0.5 h-3 bg-amber-400" style={{ left: pos(scale.max) }} title={`max ${scale.max.toFixed(3)}`} />
+      </div>
+      <div className="flex justify-between text-[9px] font-mono text-slate-500 mt-0.5">
+        <span>{scale.lo.toFixed(2)}</span>
+        <span className="text-amber-400">{scale.min.toFixed(2)} … {scale.max.toFixed(2)}</span>
+        <span>{scale.hi.toFixed(2)}</span>
+      </div>
+    </div>
+  );
+};
+
+// --- GRID RENDERER ---
+// Grids are drawn on a <canvas>: one draw call per grid instead of one styled div per
+// pixel. The canvas only repaints when its data or look changes; hover highlights are a
+// single overlay element on top, so scanning/hovering never repaints the pixels.
+
+const GRID_LINE_COLOR = 'rgba(15, 23, 42, 0.1)';
+const PAD_RING_COLOR = { dark: 'rgba(15, 23, 42, 0.6)', light: 'rgba(203, 213, 225, 0.6)' };
+const PAD_RING_STROKE = { dark: '#334155', light: '#94a3b8' };
+
+// Grayscale by default. composite: [R, G, B] arrays drawn as one colour image. tint: channel index drawn in its colour.
+// scale: a colour range from colorRange, used for feature maps
+const cellColor = (data, composite, tint, i, scale = null) => {
+  if (scale) return `rgb(${scaleColor(scale, data[i]).join(', ')})`;
+  if (composite) return `rgb(${composite[0][i]*255}, ${composite[1][i]*255}, ${composite[2][i]*255})`;
+  const v = data[i] * 255;
+  if (tint === 0) return `rgb(${v}, 0, 0)`;
+  if (tint === 1) return `rgb(0, ${v}, 0)`;
+  if (tint === 2) return `rgb(0, 0, ${v})`;
+  return `rgb(${v}, ${v}, ${v})`;
+};
+
+const cellValue = (data, composite, i) => composite ? (composite[0][i] + composite[1][i] + composite[2][i]) / 3 : data[i];
+
+// Label colour that stays readable on top of a cell
+const labelColor = (data, composite, scale, i) => {
+  if (scale) {
+    const [r, g, b] = scaleColor(scale, data[i]);
+    return 0.299 * r + 0.587 * g + 0.114 * b > 128 ? 'black' : 'white';
+  }
+  return cellValue(data, composite, i) > 0.5 ? 'black' : 'white';
+};
+
+const GridVisualizerBase = ({ data, dim, label, highlightRegion, onHoverPixel, hoverIndex = null, hoverGroup = null, isInteractive = false, showNums = false, usePadding = 0, padMode = 'zeros', tint = null, composite = null, cellSize = null, colorScale = null, revealCount = null, overlay = null, theme = 'dark' }) => {
+    const canvasRef = useRef(null);
+    const overlayRef = useRef(null);
+    const lastHover = useRef(null);
+
+    // Padded grids render the zero ring as extra cells around the data
+    const padDim = dim + 2 * usePadding;
+
+    // Adjusted pixel size: 20 for interactive (bigger), shrinking so large grids still fit
+    const pixelSize = cellSize || (isInteractive ? fitCellSize(padDim, 320, 20) : fitCellSize(dim, 300, 22)); 
+    // Numbers don't fit in small cells
+    const nums = showNums && pixelSize >= 14 && !composite;
+    const size = padDim * pixelSize;
+
+    const gridBg = theme === 'light' ? 'bg-slate-200' : 'bg-black';
+    const gridBorder = theme === 'light' ? 'border-slate-400' : 'border-slate-700';
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        // Back the canvas at device resolution so labels stay crisp
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = size * ratio;
+        canvas.height = size * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, size, size);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold ${Math.max(7, Math.round(pixelSize * 0.35))}px ui-monospace, monospace`;
+
+        for (let py = 0; py < padDim; py++) {
+            for (let px = 0; px < padDim; px++) {
+                const x = px - usePadding;
+                const y = py - usePadding;
+                const left = px * pixelSize;
+                const top = py * pixelSize;
+                const inside = x >= 0 && x < dim && y >= 0 && y < dim;
+
+                if (!inside) {
+                    ctx.setLineDash([2, 2]);
+                    if (padMode === 'zeros') {
+                        ctx.fillStyle = PAD_RING_COLOR[theme];
+                        ctx.fillRect(left, top, pixelSize, pixelSize);
+                        ctx.strokeStyle = PAD_RING_STROKE[theme];
+                        ctx.strokeRect(left + 0.5, top + 0.5, pixelSize - 1, pixelSize - 1);
+                        if (nums) {
+                            ctx.fillStyle = '#64748b';
+                            ctx.fillText('0', left + pixelSize / 2, top + pixelSize / 2);
+                        }
+                    } else {
+                        // Copied values are dimmed so the ring still reads as "not real input"
+                        const { src } = samplePadded(data || composite[0], dim, x, y, padMode);
+                        const srcIdx = src.y * dim + src.x;
+                        const padVal = cellValue(data, composite, srcIdx);
+                        ctx.globalAlpha = 0.5;
+                        ctx.fillStyle = cellColor(data, composite, tint, srcIdx);
+                        ctx.fillRect(left, top, pixelSize, pixelSize);
+                        ctx.strokeStyle = 'rgba(168, 85, 247, 0.6)';
+                        ctx.strokeRect(left + 0.5, top + 0.5, pixelSize - 1, pixelSize - 1);
+                        if (nums) {
+                            ctx.fillStyle = padVal > 0.5 ? 'black' : 'white';
+                            ctx.fillText(padVal.toFixed(1), left + pixelSize / 2, top + pixelSize / 2);
+                        }
+                        ctx.globalAlpha = 1;
+                    }
+                    ctx.setLineDash([]);
+                    continue;
+                }
+
+                const i = y * dim + x;
+                // Step-through scans only show the pixels computed so far
+                if (revealCount !== null && i >= revealCount) continue;
+                const val = cellValue(data, composite, i);
+                ctx.fillStyle = cellColor(data, composite, tint, i, colorScale);
+                ctx.fillRect(left, top, pixelSize, pixelSize);
+                if (pixelSize >= 6) {
+                    ctx.strokeStyle = GRID_LINE_COLOR;
+                    ctx.strokeRect(left + 0.25, top + 0.25, pixelSize - 0.5, pixelSize - 0.5);
+                }
+                // Show numbers if toggle is on
+                if (nums) {
+                    ctx.fillStyle = labelColor(data, composite, colorScale, i);
+                    ctx.fillText(val.toFixed(1), left + pixelSize / 2, top + pixelSize / 2);
+                }
+            }
+        }
+    }, [data, composite, dim, padDim, usePadding, padMode, tint, pixelSize, size, nums, colorScale, revealCount, theme]);
+
+    // Heat map over the real cells only, faded in by value so cold cells leave the grid visible
+    useEffect(() => {
+        const canvas = overlayRef.current;
+        if (!canvas || !overlay) return;
+        const ratio = window.devicePixelRatio || 1;
+        const side = dim * pixelSize;
+        canvas.width = side * ratio;
+        canvas.height = side * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, side, side);
+        overlay.data.forEach((v, i) => {
+            if (v <= 0) return;
+            const [r, g, b] = lerpStops(SALIENCY_STOPS, v);
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${Math.min(1, v * 1.5)})`;
+            ctx.fillRect((i % dim) * pixelSize, Math.floor(i / dim) * pixelSize, pixelSize, pixelSize);
+        });
+    }, [overlay?.data, dim, pixelSize]);
+
+    // Hit-test the pointer against the cell grid; only report when the cell changes
+    const handleMouseMove = (e) => {
+        if (isInteractive || !onHoverPixel) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / pixelSize) - usePadding;
+        const y = Math.floor((e.clientY - rect.top) / pixelSize) - usePadding;
+        if (x < 0 || x >= dim || y < 0 || y >= dim) return;
+        if (lastHover.current && lastHover.current.x === x && lastHover.current.y === y) return;
+        lastHover.current = { x, y };
+        onHoverPixel({ x, y }, hoverIndex, hoverGroup);
+    };
+
+    const handleMouseLeave = () => {
+        lastHover.current = null;
+        if (onHoverPixel) onHoverPixel(null, hoverIndex, hoverGroup);
+    };
+
+    return (
+      <div className="flex flex-col items-center gap-2 relative group/grid">
+        <div className="relative p-px">
+            {usePadding > 0 && <div className="absolute -top-4 left-0 text-[8px] text-slate-500">Padding: {usePadding}px</div>}
+            
+            <div 
+            className={`relative ${gridBg} ${gridBorder} border shadow-lg select-none overflow-hidden`}
+            style={{ 
+                width: size + 'px', 
+                height: size + 'px',
+                touchAction: 'none'
+            }}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={handleMouseLeave}
+            >
+            <canvas ref={canvasRef} className="block" style={{ width: size + 'px', height: size + 'px' }} />
+            {overlay && (
+                <canvas
+                ref={overlayRef}
+                className="absolute pointer-events-none"
+                style={{ left: usePadding * pixelSize, top: usePadding * pixelSize, width: dim * pixelSize + 'px', height: dim * pixelSize + 'px', opacity: overlay.opacity }}
+                />
+            )}
+            {highlightRegion && !(highlightRegion.step > 1) && (
+                <div 
+                className="absolute border-2 transition-all duration-75 ease-out z-10 shadow-[0_0_10px_rgba(59,130,246,0.5)] pointer-events-none"
+                style={{
+                    borderColor: highlightRegion.color || '#ef4444',
+                    left: `${((highlightRegion.x + usePadding) / padDim) * 100}%`,
+                    top: `${((highlightRegion.y + usePadding) / padDim) * 100}%`,
+                    width: `${(highlightRegion.w / padDim) * 100}%`,
+                    height: `${(highlightRegion.h / padDim) * 100}%`,
+                }}
+                />
+            )}
+            {/* Dilated kernel: outline its span faintly and mark each cell it actually reads */}
+            {highlightRegion?.step > 1 && (<>
+                <div
+                className="absolute border border-dashed z-10 pointer-events-none"
+                style={{
+                    borderColor: highlightRegion.color || '#ef4444',
+                    left: `${((highlightRegion.x + usePadding) / padDim) * 100}%`,
+                    top: `${((highlightRegion.y + usePadding) / padDim) * 100}%`,
+                    width: `${(highlightRegion.w / padDim) * 100}%`,
+                    height: `${(highlightRegion.h / padDim) * 100}%`,
+                }}
+                />
+                {Array.from({ length: Math.floor((highlightRegion.h - 1) / highlightRegion.step) + 1 }, (_, ty) =>
+                  Array.from({ length: Math.floor((highlightRegion.w - 1) / highlightRegion.step) + 1 }, (_, tx) => (
+                    <div
+                    key={`${ty}-${tx}`}
+                    className="absolute border-2 z-10 pointer-events-none"
+                    style={{
+                        borderColor: highlightRegion.color || '#ef4444',
+                        left: `${((highlightRegion.x + tx * highlightRegion.step + usePadding) / padDim) * 100}%`,
+                        top: `${((highlightRegion.y + ty * highlightRegion.step + usePadding) / padDim) * 100}%`,
+                        width: `${(1 / padDim) * 100}%`,
+                        height: `${(1 / padDim) * 100}%`,
+                    }}
+                    />
+                  )))}
+            </>)}
+            </div>
+        </div>
+        
+        <div className="text-center">
+             <span className="text-[10px] font-mono text-slate-400 block">{label} ({dim}×{dim})</span>
+        </div>
+      </div>
+    );
+};
+
+const sameScale = (a, b) => a === b || (!!a && !!b && a.colorMap === b.colorMap && a.lo === b.lo && a.hi === b.hi);
+
+const sameRegion = (a, b) => a === b || (!!a && !!b && a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h && a.color === b.color && a.step === b.step);
+
+// Skip re-rendering unchanged grids. Hover callbacks are compared too, so callers keep them
+// stable and say which map a grid shows through hoverIndex / hoverGroup, which are passed back
+const GridVisualizer = React.memo(GridVisualizerBase, (prev, next) => (
+    prev.data === next.data && prev.composite === next.composite && prev.dim === next.dim &&
+    prev.label === next.label && prev.isInteractive === next.isInteractive && prev.showNums === next.showNums &&
+    prev.usePadding === next.usePadding && prev.padMode === next.padMode && prev.tint === next.tint &&
+    prev.cellSize === next.cellSize && prev.theme === next.theme && sameScale(prev.colorScale, next.colorScale) && prev.revealCount === next.revealCount &&
+    prev.onHoverPixel === next.onHoverPixel && prev.hoverIndex === next.hoverIndex && prev.hoverGroup === next.hoverGroup &&
+    prev.overlay?.data === next.overlay?.data && prev.overlay?.opacity === next.overlay?.opacity &&
+    sameRegion(prev.highlightRegion, next.highlightRegion)
+));
+
+// --- EXPORTS ---
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const csvField = (text) => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+// Rows of comma-separated values. Multi-channel grids are written channel after channel,
+// each block headed by a "# <channel>" comment line (np.loadtxt skips these)
+const gridToCsv = (channels, dim, names = null) => channels.map((data, c) => {
+  const lines = [];
+  if (names) lines.push(`# ${names[c]}`);
+  for (let y = 0; y < dim; y++) {
+    lines.push(Array.from(data.subarray(y * dim, (y + 1) * dim)).join(','));
+  }
+  return lines.join('\n');
+}).join('\n') + '\n';
+
+// NumPy .npy v1.0: magic, version, little-endian header length, a Python dict literal padded
+// so the data starts on a 64-byte boundary, then raw little-endian float32
+const encodeNpy = (data, shape) => {
+  const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+  let header = `{'descr': '<f4', 'fortran_order': False, 'shape': ${shapeText}, }`;
+  const preamble = 10; // 6 magic + 2 version + 2 header length
+  header += ' '.repeat(64 - ((preamble + header.length + 1) % 64)) + '\n';
+  const buffer = new ArrayBuffer(preamble + header.length + data.length * 4);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+  view.setUint16(8, header.length, true);
+  for (let i = 0; i < header.length; i++) bytes[preamble + i] = header.charCodeAt(i);
+  const offset = preamble + header.length;
+  for (let i = 0; i < data.length; i++) view.setFloat32(offset + i * 4, data[i], true);
+  return new Blob([buffer], { type: 'application/octet-stream' });
+};
+
+// Draws a grid into an offscreen canvas, `scale` pixels per cell, using the on-screen colours
+// Rejects when the browser can't encode the canvas (e.g. it is too large)
+const gridToPng = (data, dim, scale, { composite = null, tint = null, colorScale = null } = {}) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = dim * scale;
+  canvas.height = dim * scale;
+  const ctx = canvas.getContext('2d');
+  for (let y = 0; y < dim; y++) {
+    for (let x = 0; x < dim; x++) {
+      ctx.fillStyle = cellColor(data, composite, tint, y * dim + x, colorScale);
+      ctx.fillRect(x * scale, y * scale, scale, scale);
+    }
+  }
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`could not encode a ${dim * scale}x${dim * scale} PNG`))), 'image/png');
+});
+
+const PNG_SCALES = [1, 8, 16, 32];
+
+// Download menu for one grid. `grid` is { name, data, dim, channels?, channelNames?, composite?, colorScale? }
+const ExportMenu = ({ grid, theme }) => {
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState(16);
+  const [error, setError] = useState(null);
+  const slug = grid.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'grid';
+  const channels = grid.channels || [grid.data];
+
+  const exportPng = async () => {
+    try {
+      downloadBlob(await gridToPng(grid.data, grid.dim, scale, grid), `${slug}@${scale}x.png`);
+      setError(null);
+      setOpen(false);
+    } catch (err) {
+      setError(`PNG export failed: ${err.message}`);
+    }
+  };
+  const exportCsv = () => {
+    downloadBlob(new Blob([gridToCsv(channels, grid.dim, channels.length > 1 ? grid.channelNames : null)], { type: 'text/csv' }), `${slug}.csv`);
+    setOpen(false);
+  };
+  const exportNpy = () => {
+    // Multi-channel grids are (C, H, W), like a PyTorch tensor without the batch axis
+    const shape = channels.length > 1 ? [channels.length, grid.dim, grid.dim] : [grid.dim, grid.dim];
+    const flat = new Float32Array(channels.length * grid.dim * grid.dim);
+    channels.forEach((c, i) => flat.set(c, i * grid.dim * grid.dim));
+    downloadBlob(encodeNpy(flat, shape), `${slug}.npy`);
+    setOpen(false);
+  };
+
+  const item = `w-full text-left px-3 py-1.5 text-xs ${theme === 'dark' ? 'text-slate-300 hover:bg-slate-700' : 'text-slate-700 hover:bg-slate-200'}`;
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(!open)} className="text-slate-400 hover:text-white p-1" title="Export">
+        <Download className="w-3 h-3" />
+      </button>
+      {open && (
+        <div className={`absolute right-0 top-6 z-30 w-40 rounded-lg border shadow-xl py-1 ${theme === 'dark' ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'}`}>
+          <div className="flex items-center justify-between px-3 py-1">
+            <button onClick={exportPng} className={`${item} !px-0 !w-auto`}>PNG</button>
+            <select value={scale} onChange={(e) => setScale(parseInt(e.target.value, 10))} className={`text-[10px] rounded border outline-none ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300'}`}>
+              {PNG_SCALES.map(s => <option key={s} value={s}>{s}x</option>)}
+            </select>
+          </div>
+          <button onClick={exportCsv} className={item}>CSV (raw values)</button>
+          <button onClick={exportNpy} className={item}>NumPy .npy</button>
+          {error && <p className="px-3 py-1 text-[10px] text-red-400">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- SCAN DEBUGGER ---
+
+// Transport bar for stepping the kernel across the input one output pixel at a time
+const ScanTransport = ({ scanIndex, dim, isPlaying, speed, onPlayPause, onStep, onSeek, onSpeed, onStop, theme }) => {
+  const total = dim * dim;
+  const [jumpX, setJumpX] = useState(0);
+  const [jumpY, setJumpY] = useState(0);
+  const current = scanIndex ?? -1;
+  const btn = `p-1.5 rounded border transition-colors disabled:opacity-30 ${theme === 'dark' ? 'border-slate-700 text-slate-300 hover:text-white hover:border-slate-500' : 'border-slate-300 text-slate-700 hover:border-slate-500'}`;
+  const numInput = `w-10 text-xs text-center rounded border outline-none ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-800'}`;
+
+  return (
+    <div className={`flex flex-wrap items-center gap-3 p-3 mb-6 rounded-xl border ${theme === 'dark' ? 'bg-slate-900 border-slate-800' : 'bg-white border-slate-300'}`}>
+      <div className="flex items-center gap-1">
+        <button onClick={() => onSeek(0)} disabled={total === 0} className={btn} title="First Pixel"><SkipBack className="w-3 h-3" /></button>
+        <button onClick={() => onStep(-1)} disabled={current <= 0} className={btn} title="Step Back"><StepBack className="w-3 h-3" /></button>
+        <button
+          onClick={onPlayPause}
+          disabled={total === 0}
+          className={`p-1.5 rounded border text-white ${isPlaying ? 'bg-amber-500 border-amber-600' : 'bg-emerald-600 border-emerald-500 hover:bg-emerald-500'}`}
+          title={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />}
+        </button>
+        <button onClick={() => onStep(1)} disabled={current >= total - 1} className={btn} title="Step Forward"><StepForward className="w-3 h-3" /></button>
+        <button onClick={() => onSeek(total - 1)} disabled={total === 0} className={btn} title="Last Pixel"><SkipForward className="w-3 h-3" /></button>
+        <button onClick={onStop} disabled={scanIndex === null} className={btn} title="Stop (show full maps)"><Square className="w-3 h-3" /></button>
+      </div>
+
+      {/* Scrubber */}
+      <div className="flex items-center gap-2 flex-1 min-w-[160px]">
+        <input
+          type="range"
+          min={0}
+          max={Math.max(0, total - 1)}
+          value={Math.max(0, current)}
+          onChange={(e) => onSeek(parseInt(e.target.value, 10))}
+          className="flex-1 accent-emerald-500"
+        />
+        <span className="text-[10px] font-mono text-slate-500 w-24 text-right">
+          {scanIndex === null ? `– / ${total}` : `${scanIndex + 1} / ${total} (${scanIndex % dim},${Math.floor(scanIndex / dim)})`}
+        </span>
+      </div>
+
+      {/* Speed */}
+      <div className="flex items-center gap-1">
+        <span className="text-[10px] text-slate-500 uppercase font-bold">Speed</span>
+        <input type="range" min={1} max={20} value={speed} onChange={(e) => onSpeed(parseInt(e.target.value, 10))} className="w-20 accent-amber-500" />
+        <span className="text-[10px] font-mono text-slate-500 w-10">{speed} px/s</span>
+      </div>
+
+      {/* Jump to pixel */}
+      <div className="flex items-center gap-1">
+        <span className="text-[10px] text-slate-500 uppercase font-bold">Jump</span>
+        <input type="number" min={0} max={dim - 1} value={jumpX} onChange={(e) => setJumpX(parseInt(e.target.value, 10) || 0)} className={numInput} title="x" />
+        <input type="number" min={0} max={dim - 1} value={jumpY} onChange={(e) => setJumpY(parseInt(e.target.value, 10) || 0)} className={numInput} title="y" />
+        <button
+          onClick={() => onSeek(Math.min(dim - 1, Math.max(0, jumpY)) * dim + Math.min(dim - 1, Math.max(0, jumpX)))}
+          disabled={total === 0}
+          className={`${btn} text-[10px] font-bold px-2`}
+        >
+          Go
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- KERNEL EDITING ---
+// Declared at module level (not inside DeepLabCNN) so inputs keep focus while typing
+
+// Single editable weight. Keeps its own text so partial entries like "-" or "0." survive
+const WeightCell = ({ value, onCommit, theme }) => {
+  const [text, setText] = useState(formatWeight(value));
+
+  useEffect(() => {
+    setText(formatWeight(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = parseFloat(text);
+    if (Number.isFinite(parsed)) {
+      if (parsed !== value) onCommit(parsed);
+    } else {
+      setText(formatWeight(value));
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+      onFocus={(e) => e.target.select()}
+      className={`w-10 h-7 text-center text-[10px] font-mono rounded border outline-none focus:ring-1 focus:ring-emerald-500 ${
+        value > 0 ? 'text-emerald-400' : value < 0 ? 'text-red-400' : 'text-slate-500'
+      } ${theme === 'dark' ? 'bg-slate-950 border-slate-700' : 'bg-white border-slate-300'}`}
+    />
+  );
+};
+
+const KernelEditor = ({ filter, channelCount = 1, onChange, onSave, onDelete, canDelete, theme }) => {
+  const [saveName, setSaveName] = useState(filter.name);
+  const [channel, setChannel] = useState(0);
+  const kSize = filter.kernel.length;
+  const slices = kernelSlices(filter, channelCount);
+  const slice = slices[Math.min(channel, slices.length - 1)];
+
+  const setWeight = (ky, kx, w) => {
+    const edited = slice.map(row => [...row]);
+    edited[ky][kx] = w;
+    if (channelCount === 1) {
+      onChange({ ...filter, kernel: edited });
+    } else {
+      onChange({ ...filter, channels: slices.map((s, c) => c === channel ? edited : s) });
+    }
+  };
+
+  return (
+    <div className={`w-full mb-3 p-3 rounded-lg border ${theme === 'dark' ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-100 border-slate-300'}`}>
+      {channelCount > 1 && (
+        <div className="flex justify-center gap-1 mb-2">
+          {CHANNELS.slice(0, channelCount).map((ch, c) => (
+            <button
+              key={ch.short}
+              onClick={() => setChannel(c)}
+              className={`text-[10px] font-bold px-2 py-0.5 rounded border ${channel === c ? 'text-white' : 'text-slate-400 border-transparent'}`}
+              style={channel === c ? { backgroundColor: `${ch.color}55`, borderColor: ch.color } : undefined}
+            >
+              {ch.short} slice
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="grid gap-1 justify-center mb-3" style={{ gridTemplateColumns: `repeat(${kSize}, auto)` }}>
+        {slice.map((row, ky) => row.map((w, kx) => (
+          <WeightCell key={`${ky}-${kx}`} value={w} onCommit={(v) => setWeight(ky, kx, v)} theme={theme} />
+        )))}
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={saveName}
+          onChange={(e) => setSaveName(e.target.value)}
+          placeholder="Kernel name"
+          className={`flex-1 min-w-0 text-xs rounded border px-2 py-1 outline-none ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-800'}`}
+        />
+        <button
+          onClick={() => saveName.trim() && onSave(saveName.trim(), slice)}
+          className="text-xs flex items-center gap-1 bg-emerald-900/30 hover:bg-emerald-900/50 text-emerald-400 px-2 py-1 rounded border border-emerald-800 transition-colors"
+          title={channelCount > 1 ? `Save the ${CHANNELS[channel].name} slice to Kernel Library` : 'Save to Kernel Library'}
+        >
+          <Save className="w-3 h-3" /> Save
+        </button>
+        <button
+          onClick={onDelete}
+          disabled={!canDelete}
+          className="text-xs flex items-center gap-1 text-slate-400 hover:text-red-400 disabled:opacity-30 disabled:hover:text-slate-400 px-1 py-1"
+          title="Delete Filter"
+        >
+          <Trash2 className="w-3 h-3" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Separable form's first step: each channel's shared kernel (editable) and the map it makes
+const DepthwisePanel = ({ kernels, maps, scales, showNums, onChange, theme }) => (
+  <div className={`mb-8 p-4 rounded-xl border ${theme === 'dark' ? 'bg-slate-900 border-cyan-900/60' : 'bg-white border-cyan-200'}`}>
+    <div className="flex items-center gap-2 mb-3">
+      <SplitSquareVertical className="w-4 h-4 text-cyan-500" />
+      <h3 className="text-xs font-semibold uppercase tracking-wider text-slate-400">Depthwise Step</h3>
+      <span className="text-[10px] text-slate-500">one kernel per channel, shared by every filter. Each filter below mixes these maps with its 1×1 weights.</span>
+    </div>
+    <div className="flex flex-wrap justify-center gap-8">
+      {kernels.map((kernel, c) => (
+        <div key={c} className="flex flex-col items-center gap-2">
+          <span className="text-[10px] uppercase font-bold" style={{ color: CHANNELS[c].color }}>{CHANNELS[c].name} kernel</span>
+          <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${kernel.length}, auto)` }}>
+            {kernel.map((row, ky) => row.map((w, kx) => (
+              <WeightCell key={`${ky}-${kx}`} value={w} onCommit={(v) => onChange(c, ky, kx, v)} theme={theme} />
+            )))}
+          </div>
+          <GridVisualizer theme={theme} data={maps[c].data} dim={maps[c].dim} label={`Depthwise ${CHANNELS[c].short}`} cellSize={fitCellSize(maps[c].dim, 160, 20)} showNums={showNums} colorScale={scales[c]} />
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+// Frequency view of one filter: spectra of the input, the zero-padded kernel and the map,
+// then the map rebuilt from the pointwise product next to the spatial one
+const PHASE_SCALE = { colorMap: 'diverging', lo: -Math.PI, hi: Math.PI, min: -Math.PI, max: Math.PI };
+
+const passBand = ({ low, high }) => (high < low / 2 ? 'low-pass' : low < high / 2 ? 'high-pass' : 'neither low- nor high-pass');
+
+const FrequencyPanel = ({ analysis, filterNames, filterIdx, onFilterChange, channelCount, channel, onChannelChange, theme }) => {
+  const { dim, spectra, gains, spatial, product, diff, maxDiff, scale, diffScale } = analysis;
+  const cellSize = fitCellSize(dim, 140, 10);
+  const selectClass = `text-xs rounded px-1 py-0.5 border ${theme === 'dark' ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'}`;
+  return (
+    <div className={`mb-8 p-4 rounded-xl border ${theme === 'dark' ? 'bg-slate-900 border-violet-900/60' : 'bg-white border-violet-200'}`}>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <Waves className="w-4 h-4 text-violet-400" />
+        <h3 className="text-xs font-semibold uppercase tracking-wider text-slate-400">Frequency Domain</h3>
+        <select value={filterIdx} onChange={(e) => onFilterChange(Number(e.target.value))} className={selectClass}>
+          {filterNames.map((name, i) => <option key={i} value={i}>{i + 1}. {name}</option>)}
+        </select>
+        {channelCount > 1 && (
+          <div className="flex bg-slate-800 rounded p-0.5" title="Input channel and kernel slice to show">
+            {CHANNELS.slice(0, channelCount).map((ch, c) => (
+              <button key={ch.name} onClick={() => onChannelChange(c)} className={`px-2 py-0.5 text-[10px] rounded font-bold ${channel === c ? 'bg-slate-600' : 'hover:bg-slate-700'}`} style={{ color: ch.color }}>{ch.short}</button>
+            ))}
+          </div>
+        )}
+        <span className="text-[10px] text-slate-500">log(1 + |F|) and phase, frequency 0 at the centre</span>
+      </div>
+      <div className="flex flex-wrap justify-center gap-6">
+        {spectra.map(({ label, magnitude, magnitudeScale, phase }) => (
+          <div key={label} className="flex flex-col items-center gap-2">
+            <span className="text-[10px] uppercase font-bold text-slate-400">{label}</span>
+            <GridVisualizer theme={theme} data={magnitude} dim={dim} label="|F|" cellSize={cellSize} colorScale={magnitudeScale} />
+            <GridVisualizer theme={theme} data={phase} dim={dim} label="∠F" cellSize={cellSize} colorScale={PHASE_SCALE} />
+          </div>
+        ))}
+      </div>
+      <p className="mt-3 text-xs font-mono text-slate-500 text-center">
+        Kernel gain: {gains.low.toFixed(2)} at low frequencies, {gains.high.toFixed(2)} at high: <span className="text-violet-400">{passBand(gains)}</span>
+      </p>
+      <div className={`mt-4 pt-4 border-t ${theme === 'dark' ? 'border-slate-800' : 'border-slate-200'}`}>
+        <div className="flex flex-wrap justify-center gap-3">
+          {[['Spatial', spatial, scale], ['IDFT(input · conj(kernel))', product, scale], ['Difference', diff, diffScale]].map(([label, data, colorScale]) => (
+            <GridVisualizer key={label} theme={theme} data={data} dim={dim} label={label} cellSize={fitCellSize(dim, 100, 7)} colorScale={colorScale} />
+          ))}
+        </div>
+        <div className="mt-3 text-xs font-mono text-slate-500 text-center">
+          max |Δ| = <span className={maxDiff < 1e-4 ? 'text-emerald-400' : 'text-amber-400'}>{maxDiff.toExponential(1)}</span>
+          {' '}— circular padding, stride 1, before bias and activation, where the convolution theorem holds exactly
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const KernelLibrary = ({ kernelSize, saved, onAdd, onRemove, theme }) => {
+  const builtIns = useMemo(() => generateLibraryKernels(kernelSize), [kernelSize]);
+  const chipBase = `text-[10px] px-2 py-1 rounded border transition-colors flex items-center gap-1`;
+  const chipTheme = theme === 'dark'
+    ? 'bg-slate-900 border-slate-700 text-slate-300 hover:border-emerald-600 hover:text-white'
+    : 'bg-white border-slate-300 text-slate-700 hover:border-emerald-600';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-8">
+      <span className="text-[10px] text-slate-500 uppercase font-bold flex items-center gap-1 mr-1">
+        <Library className="w-3 h-3" /> Library
+      </span>
+      {builtIns.map(entry => (
+        <button key={entry.name} onClick={() => onAdd(entry)} className={`${chipBase} ${chipTheme}`} title={`Add ${entry.name} filter`}>
+          <Plus className="w-3 h-3" /> {entry.name}
+        </button>
+      ))}
+      {saved.map(entry => {
+        // Saved kernels keep their own size; only same-size kernels can join the layer
+        const fits = entry.kernel.length === kernelSize;
+        return (
+          <span key={entry.name} className={`${chipBase} ${chipTheme} border-dashed ${fits ? '' : 'opacity-40'}`}>
+            <button
+              onClick={() => fits && onAdd(entry)}
+              disabled={!fits}
+              className="flex items-center gap-1"
+              title={fits ? `Add ${entry.name} filter` : `Saved as ${entry.kernel.length}x${entry.kernel.length}`}
+            >
+              <Plus className="w-3 h-3" /> {entry.name}
+              {!fits && <span className="text-slate-500">({entry.kernel.length}x{entry.kernel.length})</span>}
+            </button>
+            <button onClick={() => onRemove(entry.name)} className="text-slate-500 hover:text-red-400" title="Remove from Library">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        );
+      })}
+    </div>
+  );
+};
+
+// --- SAMPLE GALLERY ---
+
+const THUMB_DIM = 28;
+
+// Thumbnails are rendered once at MNIST resolution, whatever the current grid size
+const SampleThumb = ({ sample }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!sample.render) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const grid = sample.render(THUMB_DIM);
+    const img = ctx.createImageData(THUMB_DIM, THUMB_DIM);
+    grid.forEach((v, i) => {
+      const c = Math.round(v * 255);
+      img.data.set([c, c, c, 255], i * 4);
+    });
+    ctx.putImageData(img, 0, 0);
+  }, [sample]);
+
+  if (sample.url) return <img src={sample.url} alt={sample.name} className="w-12 h-12 object-cover" />;
+  return <canvas ref={canvasRef} width={THUMB_DIM} height={THUMB_DIM} className="w-12 h-12" style={{ imageRendering: 'pixelated' }} />;
+};
+
+const SampleGallery = ({ onPick, theme }) => {
+  const [category, setCategory] = useState(SAMPLE_GALLERY[0].category);
+  const group = SAMPLE_GALLERY.find(g => g.category === category);
+
+  return (
+    <div className={`mb-4 p-3 rounded-lg border ${theme === 'dark' ? 'bg-slate-950/50 border-slate-800' : 'bg-white border-slate-300'}`}>
+      <div className="flex flex-wrap gap-1 mb-3">
+        {SAMPLE_GALLERY.map(g => (
+          <button
+            key={g.category}
+            onClick={() => setCategory(g.category)}
+            className={`px-2 py-0.5 rounded text-[10px] uppercase font-bold ${category === g.category ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-blue-400'}`}
+          >
+            {g.category}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {group.samples.map(sample => (
+          <button
+            key={sample.id}
+            onClick={() => onPick(sample)}
+            title={`Load ${sample.name}`}
+            className={`rounded overflow-hidden border-2 transition-colors ${theme === 'dark' ? 'border-slate-800 hover:border-blue-500' : 'border-slate-200 hover:border-blue-500'}`}
+          >
+            <SampleThumb sample={sample} />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// --- DRAWING TOOLS ---
+
+const DRAW_TOOLS = {
+  brush: { label: 'Brush', icon: Paintbrush },
+  erase: { label: 'Erase', icon: Eraser },
+  line: { label: 'Line', icon: Minus },
+  rect: { label: 'Rectangle', icon: RectangleHorizontal },
+  fill: { label: 'Fill', icon: PaintBucket },
+  pixel: { label: 'Set Pixel', icon: Crosshair },
+};
+
+const HISTORY_LIMIT = 50;
+
+// Exact value entry for one input pixel, one field per channel
+const PixelEditor = ({ cell, values, channelNames, onCommit, onClose, theme }) => {
+  const [drafts, setDrafts] = useState(() => values.map(v => String(roundTo(v, 3))));
+  const [x, y] = cell;
+
+  // Re-seed the fields when another pixel is picked or the grid changes underneath
+  useEffect(() => setDrafts(values.map(v => String(roundTo(v, 3)))), [values]);
+
+  const parsed = drafts.map(Number);
+  const valid = drafts.every(d => d.trim() !== '') && parsed.every(v => Number.isFinite(v) && v >= 0 && v <= 1);
+  const commit = () => valid && onCommit(parsed);
+
+  return (
+    <div className={`flex items-center gap-2 text-xs font-mono px-3 py-2 rounded border ${theme === 'dark' ? 'bg-slate-800 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-700'}`}>
+      <span className="text-amber-400 font-bold">({x}, {y})</span>
+      {drafts.map((d, c) => (
+        <label key={c} className="flex items-center gap-1">
+          {channelNames.length > 1 && <span className="text-slate-500">{channelNames[c][0]}</span>}
+          <input
+            type="number" min={0} max={1} step={0.05} value={d}
+            onChange={(e) => setDrafts(prev => prev.map((p, i) => (i === c ? e.target.value : p)))}
+            onKeyDown={(e) => e.key === 'Enter' && commit()}
+            className={`w-16 px-1 py-0.5 rounded border bg-transparent ${theme === 'dark' ? 'border-slate-600' : 'border-slate-300'}`}
+          />
+        </label>
+      ))}
+      <button onClick={commit} disabled={!valid} className="px-2 py-0.5 rounded bg-amber-600 text-white disabled:opacity-40">Set</button>
+      <button onClick={onClose} className="text-slate-500 hover:text-red-400" title="Close"><X className="w-3 h-3" /></button>
+    </div>
+  );
+};
+
+// --- INPUT TRANSFORMS ---
+// Whole-grid edits for comparing feature maps before and after. Geometric transforms also
+// know how to move a feature map (`align`), so the compare view can line the "before" map up
+// with the "after" one: a zero difference there means the layer commuted with the transform
+
+// Builds a transform that moves pixels: out(x, y) = in(from(x, y)), zero outside the grid
+const remap = (from) => (grid, dim) => {
+  const n = dim * dim;
+  const out = new Float32Array(grid.length);
+  for (let c = 0; c < grid.length / n; c++) {
+    for (let y = 0; y < dim; y++) {
+      for (let x = 0; x < dim; x++) {
+        const [sx, sy] = from(x, y, dim);
+        if (sx >= 0 && sx < dim && sy >= 0 && sy < dim) out[c * n + y * dim + x] = grid[c * n + sy * dim + sx];
+      }
+    }
+  }
+  return out;
+};
+
+const rotate90 = remap((x, y, dim) => [y, dim - 1 - x]);
+const flipH = remap((x, y, dim) => [dim - 1 - x, y]);
+const flipV = remap((x, y, dim) => [x, dim - 1 - y]);
+const shiftBy = (dx, dy) => remap((x, y) => [x - dx, y - dy]);
+
+// Standard normal sample (Box-Muller)
+const randn = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+const INPUT_TRANSFORMS = {
+  shift: {
+    label: 'Shift',
+    apply: (grid, dim, { dx, dy }) => shiftBy(dx, dy)(grid, dim),
+    // A feature map moves by the input shift divided by the conv stride. A shift the stride
+    // doesn't divide lands between output pixels, so there is nothing to line up (null)
+    align: (map, dim, { dx, dy }, stride) => (dx % stride || dy % stride ? null : shiftBy(dx / stride, dy / stride)(map, dim)),
+  },
+  rotate: { label: 'Rotate 90°', apply: (grid, dim) => rotate90(grid, dim), align: (map, dim) => rotate90(map, dim) },
+  flipH: { label: 'Flip ↔', apply: (grid, dim) => flipH(grid, dim), align: (map, dim) => flipH(map, dim) },
+  flipV: { label: 'Flip ↕', apply: (grid, dim) => flipV(grid, dim), align: (map, dim) => flipV(map, dim) },
+  invert: { label: 'Invert', apply: (grid) => grid.map(v => 1 - v) },
+  gaussian: { label: 'Gaussian Noise', apply: (grid, dim, { sigma }) => grid.map(v => clamp01(v + sigma * randn())) },
+  saltPepper: {
+    label: 'Salt & Pepper',
+    // Each hit pixel goes fully black or white in every channel at once
+    apply: (grid, dim, { amount }) => {
+      const n = dim * dim;
+      const out = new Float32Array(grid);
+      for (let i = 0; i < n; i++) {
+        if (Math.random() >= amount) continue;
+        const v = Math.random() < 0.5 ? 0 : 1;
+        for (let c = 0; c < grid.length / n; c++) out[c * n + i] = v;
+      }
+      return out;
+    },
+  },
+  blur: {
+    label: 'Blur',
+    // 3x3 binomial blur with replicated edges, per channel
+    apply: (grid, dim) => {
+      const n = dim * dim;
+      const w = [1, 2, 1];
+      const out = new Float32Array(grid.length);
+      for (let c = 0; c < grid.length / n; c++) {
+        const plane = grid.subarray(c * n, (c + 1) * n);
+        for (let y = 0; y < dim; y++) {
+          for (let x = 0; x < dim; x++) {
+            let sum = 0;
+            for (let ky = -1; ky <= 1; ky++) {
+              for (let kx = -1; kx <= 1; kx++) {
+                sum += w[ky + 1] * w[kx + 1] * plane[resolvePadIndex(y + ky, dim, 'replicate') * dim + resolvePadIndex(x + kx, dim, 'replicate')];
+              }
+            }
+            out[c * n + y * dim + x] = sum / 16;
+          }
+        }
+      }
+      return out;
+    },
+  },
+};
+
+const TransformBar = ({ dim, onApply, compare, onToggleCompare, theme }) => {
+  const [shift, setShift] = useState({ dx: 1, dy: 0 });
+  const [sigma, setSigma] = useState(0.1);
+  const [amount, setAmount] = useState(0.05);
+  const btn = `px-2 py-0.5 rounded border transition-colors ${theme === 'dark' ? 'border-slate-700 text-slate-300 hover:border-blue-500 hover:text-white' : 'border-slate-300 text-slate-700 hover:border-blue-500'}`;
+  const num = `w-12 px-1 py-0.5 rounded border bg-transparent font-mono ${theme === 'dark' ? 'border-slate-700' : 'border-slate-300'}`;
+  const setShiftAxis = (axis, value) => setShift(prev => ({ ...prev, [axis]: Math.max(-dim, Math.min(dim, Math.round(Number(value) || 0))) }));
 
-  // 3. Sharpen 
-  const sharpen = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
-  sharpen[center][center] = kSize === 3 ? 5 : 9;
-  if(kSize === 3) {
-      sharpen[0][1] = -1; sharpen[1][0] = -1; sharpen[1][2] = -1; sharpen[2][1] = -1;
-  }
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-xs">
+      <span className="text-[10px] text-slate-500 uppercase font-bold mr-1">Transform</span>
+      <span className="flex items-center gap-1">
+        <button onClick={() => onApply('shift', shift)} className={btn}>{INPUT_TRANSFORMS.shift.label}</button>
+        <input type="number" value={shift.dx} onChange={(e) => setShiftAxis('dx', e.target.value)} className={num} title="Shift right (px)" />
+        <input type="number" value={shift.dy} onChange={(e) => setShiftAxis('dy', e.target.value)} className={num} title="Shift down (px)" />
+      </span>
+      {['rotate', 'flipH', 'flipV', 'invert', 'blur'].map(key => (
+        <button key={key} onClick={() => onApply(key, {})} className={btn}>{INPUT_TRANSFORMS[key].label}</button>
+      ))}
+      <span className="flex items-center gap-1">
+        <button onClick={() => onApply('gaussian', { sigma })} className={btn}>{INPUT_TRANSFORMS.gaussian.label}</button>
+        <input type="number" min={0} max={1} step={0.05} value={sigma} onChange={(e) => setSigma(clamp01(Number(e.target.value) || 0))} className={num} title="Noise σ" />
+      </span>
+      <span className="flex items-center gap-1">
+        <button onClick={() => onApply('saltPepper', { amount })} className={btn}>{INPUT_TRANSFORMS.saltPepper.label}</button>
+        <input type="number" min={0} max={1} step={0.01} value={amount} onChange={(e) => setAmount(clamp01(Number(e.target.value) || 0))} className={num} title="Fraction of pixels hit" />
+      </span>
+      <label className="flex items-center gap-1 ml-auto text-slate-400 cursor-pointer" title="Show feature maps before and after the last transform">
+        <input type="checkbox" checked={compare} onChange={(e) => onToggleCompare(e.target.checked)} className="accent-blue-500" /> Compare
+      </label>
+    </div>
+  );
+};
 
-  // 4. Emboss (3x3 only visual mostly)
-  const emboss = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
-  if (kSize === 3) {
-      emboss[0][0] = -2; emboss[0][1] = -1; emboss[0][2] = 0;
-      emboss[1][0] = -1; emboss[1][1] = 1;  emboss[1][2] = 1;
-      emboss[2][0] = 0;  emboss[2][1] = 1;  emboss[2][2] = 2;
-  } else {
-      // Simple identity fallback for larger
-      emboss[center][center] = 1;
+// Saliency controls: what to explain, how, and how strongly to overlay it on the input
+const SaliencyBar = ({ enabled, onToggle, objective, onObjectiveChange, mapNames, method, onMethodChange, opacity, onOpacityChange, result, theme }) => {
+  const select = `text-xs rounded px-1 py-0.5 border ${theme === 'dark' ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'}`;
+  const onMap = objective.startsWith('map:');
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-xs">
+      <label className="flex items-center gap-1 text-slate-400 cursor-pointer" title="Overlay which input pixels an objective depends on">
+        <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} className="accent-orange-500" />
+        <span className="text-[10px] text-slate-500 uppercase font-bold">Saliency</span>
+      </label>
+      {enabled && (<>
+        <select value={objective} onChange={(e) => onObjectiveChange(e.target.value)} className={select} title="Objective to explain">
+          <option value="class:top">Classifier: predicted digit</option>
+          {Array.from({ length: 10 }, (_, d) => <option key={d} value={`class:${d}`}>Classifier: digit {d}</option>)}
+          {mapNames.map((name, i) => <option key={`map-${i}`} value={`map:${i}`}>Σ feature map {i + 1}: {name}</option>)}
+        </select>
+        <select value={onMap ? 'gradient' : method} onChange={(e) => onMethodChange(e.target.value)} disabled={onMap} className={select} title={onMap ? 'Grad-CAM needs the classifier' : 'Explanation method'}>
+          <option value="gradient">Input gradient</option>
+          <option value="gradcam">Grad-CAM</option>
+        </select>
+        <label className="flex items-center gap-1 text-slate-400" title="Overlay opacity">
+          Opacity
+          <input type="range" min={0} max={1} step={0.05} value={opacity} onChange={(e) => onOpacityChange(Number(e.target.value))} className="w-20 accent-orange-500" />
+        </label>
+        {result && <span className="font-mono text-slate-500 ml-auto">{result.label} = <span className="text-orange-400">{result.value.toFixed(2)}</span></span>}
+      </>)}
+    </div>
+  );
+};
+
+// --- BACKPROPAGATION ---
+// Losses the backward view can start from, as dL/dout for every output pixel
+const BACKPROP_LOSSES = {
+  pixel: { label: 'dL/dout at pixel', upstream: (out, i, g) => out.map((_, j) => (j === i ? g : 0)) },
+  sum: { label: 'L = Σ out', upstream: (out) => out.map(() => 1) },
+  half_sq: { label: 'L = ½ Σ out²', upstream: (out) => out.map(v => v) },
+};
+
+// --- TRAINING ---
+// Gradient descent on one filter's weights and bias against a target map, with MSE loss
+// L = 1/M · Σ (out - target)². Per output pixel the error signal is
+// delta = dL/dz = 2/M · (out - target) · f'(z), each weight collects
+// dL/dw = Σ delta · (the input value that weight multiplied), and the bias dL/db = Σ delta
+
+const kernelGradient = (channels, dim, slices, target, options) => {
+  const forward = convForward(channels, dim, slices, options);
+  const m = forward.out.length;
+  const upstream = new Float32Array(m);
+  let loss = 0;
+  for (let i = 0; i < m; i++) {
+    const err = forward.out[i] - target[i];
+    loss += err * err;
+    upstream[i] = (2 / m) * err;
   }
+  const { delta, gradW, gradBias, gradAlpha, z, out, dim: outDim } = convBackward(channels, dim, slices, upstream, options, forward);
+  return { loss: loss / m, grad: gradW, gradBias, gradAlpha, delta, z, out, dim: outDim };
+};
 
-  return {
-    horizontal: { name: 'Horizontal Edge', kernel: horiz },
-    vertical: { name: 'Vertical Edge', kernel: vert },
-    sharpen: { name: 'Sharpen', kernel: sharpen },
-    emboss: { name: 'Emboss (3x3)', kernel: emboss },
-  };
+// Small random weights to start training from scratch
+const randomSlices = (channelCount, kSize) => Array.from({ length: channelCount }, () =>
+  Array.from({ length: kSize }, () => Array.from({ length: kSize }, () => roundTo((Math.random() - 0.5) * 0.2, 3))));
+
+const TRAIN_VALUES = [1, 0.5, 0, -0.5, -1];
+
+// Loss on a log scale, since MSE under gradient descent tends to fall geometrically
+const LossCurve = ({ losses, theme }) => {
+  const w = 220;
+  const h = 70;
+  const logs = losses.map(l => Math.log10(Math.max(l, 1e-12)));
+  const lo = Math.min(...logs);
+  const hi = Math.max(...logs);
+  const span = hi - lo || 1;
+  const pts = logs.map((v, i) => `${(i / Math.max(1, logs.length - 1)) * w},${h - 4 - ((v - lo) / span) * (h - 8)}`);
+
+  return (
+    <div className={`rounded border ${theme === 'dark' ? 'bg-slate-900 border-slate-700' : 'bg-white border-slate-300'}`}>
+      <svg width={w} height={h} viewBox={`0 0 ${w} ${h}`} className="text-rose-500 block">
+        {pts.length > 1 && <polyline points={pts.join(' ')} fill="none" stroke="currentColor" strokeWidth="1.5" />}
+      </svg>
+      <div className="flex justify-between px-1 text-[10px] font-mono text-slate-500">
+        <span>step {losses.length}</span>
+        <span>loss {losses.length ? losses[losses.length - 1].toExponential(2) : '—'}</span>
+      </div>
+    </div>
+  );
 };
 
-// Activation Functions
-const ACTIVATIONS = {
-  relu: (x) => Math.max(0, x),
-  sigmoid: (x) => 1 / (1 + Math.exp(-x)),
-  tanh: (x) => Math.tanh(x),
-  none: (x) => x
+const TrainingPanel = ({
+  filterName, weights, teacherNames, source, onSource, teacher, onTeacher,
+  target, targetDim, targetScale, onPaintTarget, onClearTarget,
+  learningRate, onLearningRate, speed, onSpeed, isTraining, onPlayPause, onStep, onRandomize, onClose,
+  losses, theme,
+}) => {
+  const [paintValue, setPaintValue] = useState(1);
+  const painting = useRef(false);
+  // Painting reads everything through refs, so the hover callback stays the same across renders
+  const paintRef = useRef(null);
+  paintRef.current = (px) => painting.current && px && onPaintTarget(px.x, px.y, paintValue);
+  const hoverRef = useRef(null);
+  const hoverTarget = useCallback((px) => {
+    hoverRef.current = px;
+    paintRef.current(px);
+  }, []);
+
+  const field = `px-1 py-0.5 rounded border bg-transparent font-mono ${theme === 'dark' ? 'border-slate-700' : 'border-slate-300'}`;
+  const btn = `p-1.5 rounded border transition-colors ${theme === 'dark' ? 'border-slate-700 text-slate-300 hover:text-white hover:border-rose-500' : 'border-slate-300 text-slate-700 hover:border-rose-500'}`;
+
+  return (
+    <div className={`mb-8 p-4 rounded-xl border ${theme === 'dark' ? 'bg-slate-900 border-rose-900/60' : 'bg-white border-rose-200'}`}>
+      <div className="flex items-center gap-2 mb-4 text-xs">
+        <GraduationCap className="w-4 h-4 text-rose-500" />
+        <span className="font-semibold uppercase tracking-wider text-slate-400">Training “{filterName}”</span>
+        <span className="text-slate-500 font-mono">MSE · gradient descent</span>
+        <button onClick={onClose} className="ml-auto text-slate-500 hover:text-red-400" title="Stop Training"><X className="w-4 h-4" /></button>
+      </div>
+
+      <div className="flex flex-wrap gap-6 items-start">
+        {/* Target */}
+        <div className="flex flex-col gap-2 text-xs">
+          <div className="flex items-center gap-1">
+            <span className="text-[10px] text-slate-500 uppercase font-bold mr-1">Target</span>
+            {[['teacher', 'Teacher'], ['drawn', 'Drawn']].map(([key, label]) => (
+              <button key={key} onClick={() => onSource(key)} className={`px-2 py-0.5 rounded ${source === key ? 'bg-rose-600 text-white' : 'text-slate-400 hover:text-white'}`}>{label}</button>
+            ))}
+          </div>
+          {source === 'teacher' ? (
+            <select value={teacher} onChange={(e) => onTeacher(e.target.value)} className={`${field} ${theme === 'dark' ? 'bg-slate-800' : 'bg-white'}`} title="Hidden kernel that produces the target map">
+              {teacherNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          ) : (
+            <div className="flex items-center gap-1">
+              {TRAIN_VALUES.map(v => (
+                <button key={v} onClick={() => setPaintValue(v)} className={`px-1.5 py-0.5 rounded font-mono ${paintValue === v ? 'bg-rose-600 text-white' : 'text-slate-400 hover:text-white'}`}>{v}</button>
+              ))}
+              <button onClick={onClearTarget} className="text-slate-500 hover:text-red-400 ml-1" title="Clear Target"><Trash2 className="w-3 h-3" /></button>
+            </div>
+          )}
+          <div
+            className={source === 'drawn' ? 'cursor-crosshair' : ''}
+            onMouseDown={() => { painting.current = source === 'drawn'; paintRef.current(hoverRef.current); }}
+            onMouseUp={() => { painting.current = false; }}
+            onMouseLeave={() => { painting.current = false; }}
+          >
+            <GridVisualizer
+              theme={theme}
+              data={target}
+              dim={targetDim}
+              label="Target"
+              cellSize={fitCellSize(targetDim, 120, 10)}
+              colorScale={targetScale}
+              onHoverPixel={hoverTarget}
+            />
+          </div>
+        </div>
+
+        {/* Weights as they learn */}
+        <div className="flex flex-col gap-2 text-xs">
+          <span className="text-[10px] text-slate-500 uppercase font-bold">Weights</span>
+          <div className="flex gap-2">
+            {weights.map((slice, c) => (
+              <div key={c} className="grid gap-px" style={{ gridTemplateColumns: `repeat(${slice.length}, minmax(0, 1fr))`, outline: weights.length > 1 ? `1px solid ${CHANNELS[c].color}` : undefined }}>
+                {slice.flat().map((w, i) => (
+                  <span
+                    key={i}
+                    className="w-10 text-center font-mono text-[10px] py-0.5 transition-colors duration-200"
+                    style={{ backgroundColor: w >= 0 ? `rgba(16,185,129,${Math.min(1, Math.abs(w))})` : `rgba(244,63,94,${Math.min(1, Math.abs(w))})` }}
+                  >
+                    {w.toFixed(2)}
+                  </span>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Controls and loss */}
+        <div className="flex flex-col gap-2 text-xs">
+          <div className="flex items-center gap-1">
+            <button onClick={onPlayPause} className={btn} title={isTraining ? 'Pause' : 'Train'}>{isTraining ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />}</button>
+            <button onClick={onStep} className={btn} title="One Step"><StepForward className="w-3 h-3" /></button>
+            <button onClick={onRandomize} className={btn} title="Random Weights"><Shuffle className="w-3 h-3" /></button>
+          </div>
+          <label className="flex items-center gap-1 text-slate-500">
+            <span className="text-[10px] uppercase font-bold w-10">LR</span>
+            <input type="number" min={0} step={0.01} value={learningRate} onChange={(e) => onLearningRate(Math.max(0, Number(e.target.value) || 0))} className={`${field} w-20`} />
+          </label>
+          <label className="flex items-center gap-1 text-slate-500">
+            <span className="text-[10px] uppercase font-bold w-10">Speed</span>
+            <input type="range" min={1} max={30} value={speed} onChange={(e) => onSpeed(Number(e.target.value))} className="w-20 accent-rose-500" />
+            <span className="font-mono">{speed}/s</span>
+          </label>
+          <LossCurve losses={losses} theme={theme} />
+        </div>
+      </div>
+    </div>
+  );
 };
 
 export default function DeepLabCNN() {
@@ -79,336 +1730,1029 @@ export default function DeepLabCNN() {
   // Data
   const [inputGrid, setInputGrid] = useState(new Float32Array(14 * 14).fill(0));
   const [isDrawing, setIsDrawing] = useState(false);
+  const [drawTool, setDrawTool] = useState('brush'); // key of DRAW_TOOLS
+  const [brushRadius, setBrushRadius] = useState(1);
+  const [brushIntensity, setBrushIntensity] = useState(1);
+  const [pixelEdit, setPixelEdit] = useState(null); // [x, y] picked by the Set Pixel tool
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const strokeRef = useRef(null);
+  const [lastTransform, setLastTransform] = useState(null); // { key, params, base } of the latest input transform
+  const [showCompare, setShowCompare] = useState(false);
+  const [compareFilterIdx, setCompareFilterIdx] = useState(0);
+  const [showFrequency, setShowFrequency] = useState(false);
+  const [showSaliency, setShowSaliency] = useState(false);
+  const [saliencyObjective, setSaliencyObjective] = useState('class:top'); // 'class:top' | 'class:<digit>' | 'map:<filter index>'
+  const [saliencyMethod, setSaliencyMethod] = useState('gradient'); // 'gradient' | 'gradcam'
+  const [saliencyOpacity, setSaliencyOpacity] = useState(0.6);
+  const [frequencyFilterIdx, setFrequencyFilterIdx] = useState(0);
+  const [frequencyChannel, setFrequencyChannel] = useState(0);
+  const [colorMode, setColorMode] = useState('gray'); // 'gray' | 'rgb'
+  const [brushChannel, setBrushChannel] = useState('all'); // RGB only: 'all' or a channel index
+  const channelCount = colorMode === 'rgb' ? 3 : 1;
   
   // Model Parameters
   const [stride, setStride] = useState(1);
-  const [padding, setPadding] = useState(0); // Always 0 (Valid)
+  const [paddingMode, setPaddingMode] = useState('valid'); // preset key or 'custom'
+  const [customPadding, setCustomPadding] = useState(0);
+  const [padMode, setPadMode] = useState('zeros');
+  const [dilation, setDilation] = useState(1);
+  const extent = kernelExtent(kernelSize, dilation);
+  const padding = paddingMode === 'custom' ? Math.min(customPadding, extent - 1) : PADDING_PRESETS[paddingMode].amount(extent);
+  const [convMode, setConvMode] = useState('standard'); // 'standard' | 'separable' (depthwise-separable, RGB only)
+  const [depthwiseKernels, setDepthwiseKernels] = useState(() => defaultDepthwiseKernels(3));
+  const separable = convMode === 'separable' && channelCount > 1;
   const [activation, setActivation] = useState('relu');
+  const [activationAlpha, setActivationAlpha] = useState(defaultAlpha('relu'));
+  const [poolType, setPoolType] = useState('max');
+  const [poolSize, setPoolSize] = useState(2);
+  const [poolStride, setPoolStride] = useState(2);
+  const [stackLayers, setStackLayers] = useState([]);
   
   // Filter State
   const [filters, setFilters] = useState(generateFilters(3));
   const [selectedFilterIdx, setSelectedFilterIdx] = useState(0); // Track which filter we are "inspecting" for math
+  const [editingFilterKey, setEditingFilterKey] = useState(null);
+  const [savedKernels, setSavedKernels] = useState(loadSavedKernels);
+  const filterCounter = useRef(0);
   
   // Visual Settings
   const [showValues, setShowValues] = useState(true); 
+  const [colorMapName, setColorMapName] = useState('grayscale');
+  const [normalization, setNormalization] = useState('raw');
   const [hoveredPixel, setHoveredPixel] = useState(null); 
+  // Map grids hand back which filter (and stack layer) they show, so one stable handler serves each kind
+  const hoverConvPixel = useCallback((px, filterIndex) => setHoveredPixel(px ? { layer: 'conv', ...px, filterIndex } : null), []);
+  const hoverPoolPixel = useCallback((px, filterIndex) => setHoveredPixel(px ? { layer: 'pool', ...px, filterIndex } : null), []);
+  const hoverStackPixel = useCallback((px, filterIndex, stackIndex) => setHoveredPixel(px ? { layer: 'stack', stackIndex, ...px, filterIndex } : null), []);
+  const [mathPass, setMathPass] = useState('forward'); // conv math panel: 'forward' | 'backward'
+  const [backpropLoss, setBackpropLoss] = useState('pixel'); // key of BACKPROP_LOSSES
+  const [upstreamGrad, setUpstreamGrad] = useState(1);
   const fileInputRef = useRef(null);
+  const [showGallery, setShowGallery] = useState(false);
+
+  // Training: trainKey is the filter being fitted to the target map (null = not training)
+  const [trainKey, setTrainKey] = useState(null);
+  const [trainSource, setTrainSource] = useState('teacher'); // 'teacher' | 'drawn'
+  const [teacherName, setTeacherName] = useState('Sobel X');
+  const [drawnTarget, setDrawnTarget] = useState(null);
+  const [learningRate, setLearningRate] = useState(0.1);
+  const [trainSpeed, setTrainSpeed] = useState(10); // steps per second
+  const [isTraining, setIsTraining] = useState(false);
+  const [lossHistory, setLossHistory] = useState([]);
+  const [lastTrainStep, setLastTrainStep] = useState(null); // kernelGradient result of the last step, plus the weights either side of it
 
-  // Animation State
+  // Animation State: scanIndex is the output pixel the debugger is on (null = not scanning)
   const [isAnimating, setIsAnimating] = useState(false);
+  const [scanIndex, setScanIndex] = useState(null);
+  const [scanSpeed, setScanSpeed] = useState(5); // output pixels per second
+  const scanDim = Math.max(0, Math.floor((gridSize + 2 * padding - extent) / stride) + 1);
+  const scanTotal = scanDim * scanDim;
 
   // --- EFFECTS ---
 
-  // When gridSize changes, resize inputGrid
+  // Restore a workbench shared through the URL hash, then keep the hash in sync
+  const [hashReady, setHashReady] = useState(false);
+  const [workbenchError, setWorkbenchError] = useState(null);
+  const [shareCopied, setShareCopied] = useState(false);
+  const workbenchFileRef = useRef(null);
+
+  // Animation Loop: advance one output pixel per tick, pausing on the last one
   useEffect(() => {
-    setInputGrid(new Float32Array(gridSize * gridSize).fill(0));
-  }, [gridSize]);
+    if (!isAnimating) return;
+    const interval = setInterval(() => {
+      setScanIndex(prev => Math.min(scanTotal - 1, prev === null ? 0 : prev + 1));
+    }, 1000 / scanSpeed);
+    return () => clearInterval(interval);
+  }, [isAnimating, scanSpeed, scanTotal]);
 
-  // When kernelSize changes, regenerate filters
   useEffect(() => {
-    setFilters(generateFilters(kernelSize));
-  }, [kernelSize]);
+    if (isAnimating && scanIndex !== null && scanIndex >= scanTotal - 1) setIsAnimating(false);
+  }, [isAnimating, scanIndex, scanTotal]);
 
-  // Animation Loop
+  // Output size changed under the scan (stride, padding, sizes): keep the index in range
   useEffect(() => {
-    if (isAnimating) {
-      let currentIdx = 0;
-      // Calculate max output index based on current settings
-      const kSize = kernelSize;
-      const outDim = Math.floor((gridSize + 2 * padding - kSize) / stride) + 1;
-      const totalPixels = outDim * outDim;
-
-      const interval = setInterval(() => {
-        if (currentIdx >= totalPixels) {
-            currentIdx = 0; // Loop
-        }
-        
-        const y = Math.floor(currentIdx / outDim);
-        const x = currentIdx % outDim;
-        
-        setHoveredPixel({ layer: 'conv', x, y, filterIndex: selectedFilterIdx });
-        currentIdx++;
-      }, 200); 
+    if (scanIndex !== null && scanIndex >= scanTotal) setScanIndex(scanTotal > 0 ? scanTotal - 1 : null);
+  }, [scanIndex, scanTotal]);
 
-      return () => clearInterval(interval);
-    } else {
-        setHoveredPixel(null);
-    }
-  }, [isAnimating, gridSize, kernelSize, stride, padding, selectedFilterIdx]);
+  // The scanned pixel drives the same hover state as the mouse, so every highlight follows it
+  useEffect(() => {
+    if (scanIndex === null || scanDim === 0) return;
+    setHoveredPixel({ layer: 'conv', x: scanIndex % scanDim, y: Math.floor(scanIndex / scanDim), filterIndex: selectedFilterIdx });
+  }, [scanIndex, scanDim, selectedFilterIdx]);
 
 
   // --- LOGIC HANDLERS ---
 
-  const handleDraw = useCallback((e) => {
-    if(e.type === 'touchmove') { /* e.preventDefault(); */ }
-    if (!isDrawing && e.type !== 'click' && e.type !== 'mousedown' && e.type !== 'touchstart') return;
-    
+  // New grid size starts from a blank input (colour mode switches convert the grid themselves)
+  const changeGridSize = (size) => {
+    if (size === gridSize) return;
+    setGridSize(size);
+    setInputGrid(new Float32Array(channelCount * size * size).fill(0));
+    setPixelEdit(null);
+    resetHistory();
+    setLastTransform(null);
+  };
+
+  // New kernel size regenerates the default filters
+  const changeKernelSize = (size) => {
+    if (size === kernelSize) return;
+    setKernelSize(size);
+    setFilters(generateFilters(size));
+    setDepthwiseKernels(defaultDepthwiseKernels(size));
+    setEditingFilterKey(null);
+  };
+
+  // Turning the separable form on gives the first filters one-hot 1×1 weights (filter i
+  // keeps depthwise map i), so their maps differ until the weights are edited
+  const toggleSeparable = () => {
+    if (!separable) {
+      setFilters(prev => Object.fromEntries(Object.entries(prev).map(([key, filter], i) => [key, filter.pointwise || i >= channelCount
+        ? filter
+        : { ...filter, pointwise: Array.from({ length: channelCount }, (_, c) => (c === i ? 1 : 0)) }])));
+      stopTraining();
+      setMathPass('forward');
+    }
+    setConvMode(separable ? 'standard' : 'separable');
+  };
+
+  const toggleScan = () => {
+    if (isAnimating) {
+      setIsAnimating(false);
+      return;
+    }
+    // Restart from the top when nothing is scanned yet or the last pixel was reached
+    if (scanIndex === null || scanIndex >= scanTotal - 1) setScanIndex(0);
+    setIsAnimating(true);
+  };
+
+  const stepScan = (delta) => {
+    setIsAnimating(false);
+    setScanIndex(prev => Math.max(0, Math.min(scanTotal - 1, (prev ?? -1) + delta)));
+  };
+
+  const seekScan = (idx) => {
+    setIsAnimating(false);
+    setScanIndex(Math.max(0, Math.min(scanTotal - 1, idx)));
+  };
+
+  const stopScan = () => {
+    setIsAnimating(false);
+    setScanIndex(null);
+    setHoveredPixel(null);
+  };
+
+  // --- INPUT EDITING ---
+
+  // Snapshots of inputGrid for undo/redo. They only make sense for the current grid shape,
+  // so anything that changes the size or channel count starts a fresh history
+  const recordInput = () => setHistory(h => ({ past: [...h.past, inputGrid].slice(-HISTORY_LIMIT), future: [] }));
+  const resetHistory = () => setHistory({ past: [], future: [] });
+
+  // One-shot edits (fill, pixel entry, samples, uploads, clear) are a single undo step
+  const editInput = (next) => {
+    recordInput();
+    setInputGrid(next);
+  };
+
+  const undoInput = () => {
+    if (history.past.length === 0) return;
+    setHistory({ past: history.past.slice(0, -1), future: [inputGrid, ...history.future] });
+    setInputGrid(history.past[history.past.length - 1]);
+  };
+
+  const redoInput = () => {
+    if (history.future.length === 0) return;
+    setHistory({ past: [...history.past, inputGrid], future: history.future.slice(1) });
+    setInputGrid(history.future[0]);
+  };
+
+  // The shortcut listener is bound once and reaches the current undo/redo through a ref
+  const historyKeys = useRef(null);
+  historyKeys.current = { undoInput, redoInput };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Text and number fields keep their own undo
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) historyKeys.current.undoInput();
+      else if (key === 'y' || (key === 'z' && e.shiftKey)) historyKeys.current.redoInput();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  // Maps a mouse/touch event to an input cell, or null over the padding ring or outside
+  const eventToCell = (e) => {
     const area = document.getElementById('draw-area');
-    if (!area) return;
+    if (!area) return null;
 
     const rect = area.getBoundingClientRect();
-    let clientX, clientY;
-    if (e.touches && e.touches.length > 0) {
-      clientX = e.touches[0].clientX;
-      clientY = e.touches[0].clientY;
-    } else {
-      clientX = e.clientX;
-      clientY = e.clientY;
+    const point = e.touches && e.touches.length > 0 ? e.touches[0] : e;
+    const x = point.clientX - rect.left;
+    const y = point.clientY - rect.top;
+    
+    // The input grid is drawn with its padding ring, which is not drawable
+    const scale = (gridSize + 2 * padding) / rect.width;
+    const gridX = Math.floor(x * scale) - padding;
+    const gridY = Math.floor(y * scale) - padding;
+    return gridX >= 0 && gridX < gridSize && gridY >= 0 && gridY < gridSize ? [gridX, gridY] : null;
+  };
+
+  // In RGB mode the brush paints white or a single channel
+  const paintChannels = brushChannel === 'all'
+    ? Array.from({ length: channelCount }, (_, c) => c)
+    : [brushChannel];
+  const brushOptions = { radius: brushRadius, intensity: brushIntensity, erase: drawTool === 'erase' };
+
+  const startDraw = (e) => {
+    const cell = eventToCell(e);
+    if (!cell) return;
+    if (drawTool === 'pixel') {
+      setPixelEdit(cell);
+      return;
     }
+    const next = new Float32Array(inputGrid);
+    if (drawTool === 'fill') {
+      floodFill(next, gridSize, cell[0], cell[1], paintChannels, brushIntensity);
+      editInput(next);
+      return;
+    }
+    // A whole stroke or shape drag is one undo step
+    recordInput();
+    strokeRef.current = { base: inputGrid, start: cell, last: cell };
+    stampCells(next, gridSize, [cell], paintChannels, brushOptions);
+    setInputGrid(next);
+    setIsDrawing(true);
+  };
 
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
-    
-    const scale = gridSize / rect.width;
-    const gridX = Math.floor(x * scale);
-    const gridY = Math.floor(y * scale);
-
-    if (gridX >= 0 && gridX < gridSize && gridY >= 0 && gridY < gridSize) {
-      setInputGrid(prev => {
-        const newGrid = new Float32Array(prev);
-        // Brush logic
-        const brush = [
-          {dx:0, dy:0, val: 1.0},
-          {dx:1, dy:0, val: 0.5}, {dx:-1, dy:0, val: 0.5},
-          {dx:0, dy:1, val: 0.5}, {dx:0, dy:-1, val: 0.5}
-        ];
-        
-        brush.forEach(({dx, dy, val}) => {
-          const bx = gridX + dx;
-          const by = gridY + dy;
-          if (bx >= 0 && bx < gridSize && by >= 0 && by < gridSize) {
-            const idx = by * gridSize + bx;
-            newGrid[idx] = Math.min(1, newGrid[idx] + val);
-          }
-        });
-        return newGrid;
-      });
+  const moveDraw = (e) => {
+    const stroke = strokeRef.current;
+    if (!isDrawing || !stroke) return;
+    const cell = eventToCell(e);
+    if (!cell || (cell[0] === stroke.last[0] && cell[1] === stroke.last[1])) return;
+    const from = stroke.last;
+    stroke.last = cell;
+    if (drawTool === 'line' || drawTool === 'rect') {
+      // Shapes are redrawn from the grid as it was before the drag, so they preview live
+      const next = new Float32Array(stroke.base);
+      const cells = drawTool === 'line' ? lineCells(...stroke.start, ...cell) : rectCells(...stroke.start, ...cell);
+      stampCells(next, gridSize, cells, paintChannels, brushOptions);
+      setInputGrid(next);
+      return;
+    }
+    // Fast pointer moves skip cells, so consecutive samples are joined with a line
+    setInputGrid(prev => {
+      const next = new Float32Array(prev);
+      stampCells(next, gridSize, lineCells(...from, ...cell), paintChannels, brushOptions);
+      return next;
+    });
+  };
+
+  const endDraw = () => {
+    strokeRef.current = null;
+    setIsDrawing(false);
+  };
+
+  const applyTransform = (key, params) => {
+    setLastTransform({ key, params, base: inputGrid });
+    editInput(INPUT_TRANSFORMS[key].apply(inputGrid, gridSize, params));
+  };
+
+  const setPixelValues = (values) => {
+    const [x, y] = pixelEdit;
+    const n = gridSize * gridSize;
+    const next = new Float32Array(inputGrid);
+    values.forEach((v, c) => { next[c * n + y * gridSize + x] = v; });
+    editInput(next);
+  };
+
+  // Gray -> RGB copies the image into all three channels; RGB -> gray averages them
+  const switchColorMode = (mode) => {
+    if (mode === colorMode) return;
+    const n = gridSize * gridSize;
+    const next = new Float32Array((mode === 'rgb' ? 3 : 1) * n);
+    if (mode === 'rgb') {
+      for (let c = 0; c < 3; c++) next.set(inputGrid.subarray(0, n), c * n);
+    } else {
+      for (let i = 0; i < n; i++) next[i] = (inputGrid[i] + inputGrid[n + i] + inputGrid[2 * n + i]) / 3;
     }
-  }, [isDrawing, gridSize]);
+    setInputGrid(next);
+    setColorMode(mode);
+    setBrushChannel('all');
+    resetHistory();
+    setLastTransform(null);
+  };
+
+  // Draws any image source onto a gridSize canvas and reads it back as the input. `name` is
+  // what the error banner calls it if the browser can't decode it
+  const loadImageSource = (src, name) => {
+    const img = new Image();
+    img.onerror = () => setWorkbenchError(`Could not load ${name}: not an image this browser can read`);
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = gridSize;
+      canvas.height = gridSize;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'black'; 
+      ctx.fillRect(0, 0, gridSize, gridSize);
+      ctx.drawImage(img, 0, 0, gridSize, gridSize);
+      const imgData = ctx.getImageData(0, 0, gridSize, gridSize);
+      const data = imgData.data;
+      const n = gridSize * gridSize;
+      const newGrid = new Float32Array(channelCount * n);
+      for (let i = 0; i < data.length; i += 4) {
+        if (channelCount === 3) {
+          newGrid[i / 4] = data[i] / 255;
+          newGrid[n + i / 4] = data[i + 1] / 255;
+          newGrid[2 * n + i / 4] = data[i + 2] / 255;
+        } else {
+          const val = (data[i] + data[i + 1] + data[i + 2]) / 3 / 255; 
+          newGrid[i / 4] = val;
+        }
+      }
+      editInput(newGrid);
+    };
+    img.src = src;
+  };
 
   const handleImageUpload = (e) => {
     const file = e.target.files[0];
+    // Cleared so picking the same file again (e.g. after a failed load) still fires onChange
+    e.target.value = '';
     if (!file) return;
 
+    const reader = new FileReader();
+    reader.onload = (event) => loadImageSource(event.target.result, file.name);
+    reader.onerror = () => setWorkbenchError(`Could not read ${file.name}: ${reader.error?.message ?? 'unknown error'}`);
+    reader.readAsDataURL(file);
+  };
+
+  // Gallery samples are rendered at the current grid size; grayscale ones fill every channel
+  const loadSample = (sample) => {
+    if (sample.url) {
+      loadImageSource(sample.url, `the "${sample.name}" sample`);
+      return;
+    }
+    const plane = sample.render(gridSize);
+    const newGrid = new Float32Array(channelCount * plane.length);
+    for (let c = 0; c < channelCount; c++) newGrid.set(plane, c * plane.length);
+    editInput(newGrid);
+  };
+
+  // --- WORKBENCH SHARING ---
+
+  const workbenchDoc = () => serializeWorkbench({
+    theme, gridSize, colorMode, inputGrid, kernelSize, stride, paddingMode, customPadding, padMode, dilation,
+    separable, depthwiseKernels, activation, activationAlpha, filters, poolType, poolSize, poolStride, stackLayers, colorMapName, normalization, showValues,
+  });
+
+  const applyWorkbench = (st) => {
+    stopScan();
+    setTheme(st.theme);
+    setGridSize(st.gridSize);
+    setColorMode(st.colorMode);
+    setBrushChannel('all');
+    setInputGrid(st.inputGrid);
+    setPixelEdit(null);
+    resetHistory();
+    setLastTransform(null);
+    setKernelSize(st.kernelSize);
+    setStride(st.stride);
+    setPaddingMode(st.paddingMode);
+    setCustomPadding(st.customPadding);
+    setPadMode(st.padMode);
+    setDilation(st.dilation);
+    setConvMode(st.convMode);
+    setDepthwiseKernels(st.depthwiseKernels ?? defaultDepthwiseKernels(st.kernelSize));
+    setActivation(st.activation);
+    setActivationAlpha(st.activationAlpha);
+    setFilters(st.filters);
+    setEditingFilterKey(null);
+    setSelectedFilterIdx(0);
+    setPoolType(st.poolType);
+    setPoolSize(st.poolSize);
+    setPoolStride(st.poolStride);
+    setStackLayers(st.stackLayers);
+    setColorMapName(st.colorMapName);
+    setNormalization(st.normalization);
+    setShowValues(st.showValues);
+    setWorkbenchError(null);
+  };
+
+  const exportWorkbench = () => {
+    downloadBlob(new Blob([JSON.stringify(workbenchDoc(), null, 2)], { type: 'application/json' }), 'deeplab-workbench.json');
+  };
+
+  const importWorkbench = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow re-importing the same file
+    if (!file) return;
     const reader = new FileReader();
     reader.onload = (event) => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        canvas.width = gridSize;
-        canvas.height = gridSize;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = 'black'; 
-        ctx.fillRect(0, 0, gridSize, gridSize);
-        ctx.drawImage(img, 0, 0, gridSize, gridSize);
-        const imgData = ctx.getImageData(0, 0, gridSize, gridSize);
-        const data = imgData.data;
-        const newGrid = new Float32Array(gridSize * gridSize);
-        for (let i = 0; i < data.length; i += 4) {
-          const val = (data[i] + data[i + 1] + data[i + 2]) / 3 / 255; 
-          newGrid[i / 4] = val;
-        }
-        setInputGrid(newGrid);
-      };
-      img.src = event.target.result;
+      try {
+        applyWorkbench(parseWorkbench(JSON.parse(event.target.result)));
+      } catch (err) {
+        setWorkbenchError(`Could not import ${file.name}:\n${err.message}`);
+      }
     };
-    reader.readAsDataURL(file);
+    reader.readAsText(file);
+  };
+
+  const copyShareLink = async () => {
+    try {
+      const url = new URL(window.location.href);
+      url.hash = `${HASH_KEY}=${await encodeWorkbenchHash(workbenchDoc())}`;
+      await navigator.clipboard.writeText(url.toString());
+      setShareCopied(true);
+      setTimeout(() => setShareCopied(false), 1500);
+    } catch (err) {
+      setWorkbenchError(`Could not copy link: ${err.message}`);
+    }
+  };
+
+  // --- FILTER EDITING ---
+
+  const updateFilter = (key, filter) => {
+    setFilters(prev => ({ ...prev, [key]: filter }));
+  };
+
+  const setDepthwiseWeight = (c, ky, kx, w) => {
+    setDepthwiseKernels(prev => prev.map((kernel, i) => (i === c ? kernel.map((row, y) => row.map((v, x) => (y === ky && x === kx ? w : v))) : kernel)));
+  };
+
+  // fn null drops the filter's own pick, so it follows the layer's activation again
+  const setFilterActivation = (key, { fn, alpha }) => {
+    setFilters(prev => {
+      const { activation: _fn, alpha: _alpha, ...rest } = prev[key];
+      return { ...prev, [key]: fn ? { ...rest, activation: fn, alpha } : rest };
+    });
+  };
+
+  const addFilter = (entry) => {
+    filterCounter.current += 1;
+    const key = `custom-${filterCounter.current}`;
+    setFilters(prev => ({ ...prev, [key]: { name: entry.name, kernel: entry.kernel.map(row => [...row]) } }));
+    setEditingFilterKey(key);
+  };
+
+  const addBlankFilter = () => {
+    // Identity kernel: output equals input until weights are changed
+    const kernel = Array(kernelSize).fill(0).map(() => Array(kernelSize).fill(0));
+    const center = Math.floor(kernelSize / 2);
+    kernel[center][center] = 1;
+    addFilter({ name: 'Custom', kernel });
+  };
+
+  const deleteFilter = (key) => {
+    setFilters(prev => {
+      const { [key]: _removed, ...rest } = prev;
+      return rest;
+    });
+    if (key === trainKey) stopTraining();
+    // Indices shift after a delete, so drop anything pointing at them
+    setHoveredPixel(null);
+    setSelectedFilterIdx(0);
+    setEditingFilterKey(null);
+  };
+
+  const learnedShown = Object.keys(filters).some(key => key.startsWith(LEARNED_PREFIX));
+
+  // Learned kernels are 3x3, so showing them switches a 5x5 layer back to the 3x3 defaults
+  const toggleLearnedFilters = () => {
+    if (learnedShown) {
+      setFilters(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !key.startsWith(LEARNED_PREFIX))));
+      if (trainKey?.startsWith(LEARNED_PREFIX)) stopTraining();
+    } else if (kernelSize === LEARNED_KERNEL_SIZE) {
+      setFilters(prev => ({ ...prev, ...learnedFilters() }));
+    } else {
+      setKernelSize(LEARNED_KERNEL_SIZE);
+      setFilters({ ...generateFilters(LEARNED_KERNEL_SIZE), ...learnedFilters() });
+      setDepthwiseKernels(defaultDepthwiseKernels(LEARNED_KERNEL_SIZE));
+      stopTraining();
+    }
+    setHoveredPixel(null);
+    setSelectedFilterIdx(0);
+    setEditingFilterKey(null);
+  };
+
+  const saveKernel = (name, kernel) => {
+    setSavedKernels(prev => {
+      const next = [...prev.filter(k => k.name !== name), { name, kernel: kernel.map(row => [...row]) }];
+      storeSavedKernels(next);
+      return next;
+    });
+  };
+
+  const removeSavedKernel = (name) => {
+    setSavedKernels(prev => {
+      const next = prev.filter(k => k.name !== name);
+      storeSavedKernels(next);
+      return next;
+    });
+  };
+
+  // --- LAYER STACK EDITING ---
+
+  const addStackLayer = (type) => {
+    setStackLayers(prev => [...prev, createLayer(type)]);
+  };
+
+  const updateStackLayer = (i, changes) => {
+    setStackLayers(prev => prev.map((layer, j) => j === i ? { ...layer, ...changes } : layer));
   };
 
+  const removeStackLayer = (i) => {
+    setStackLayers(prev => prev.filter((_, j) => j !== i));
+    setHoveredPixel(null);
+  };
+
+  // Load a shared workbench from the hash on start, and whenever the hash is replaced by hand
+  useEffect(() => {
+    const restore = async () => {
+      const payload = readHashPayload();
+      if (!payload) return;
+      try {
+        applyWorkbench(parseWorkbench(await decodeWorkbenchHash(payload)));
+      } catch (err) {
+        setWorkbenchError(`Could not restore the shared link:\n${err.message}`);
+      }
+    };
+    restore().finally(() => setHashReady(true));
+    window.addEventListener('hashchange', restore);
+    return () => window.removeEventListener('hashchange', restore);
+  }, []);
+
+  // Mirror the workbench into the hash (debounced, replaceState so drawing doesn't flood history)
+  useEffect(() => {
+    if (!hashReady) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const payload = await encodeWorkbenchHash(workbenchDoc());
+      if (!cancelled) window.history.replaceState(null, '', `#${HASH_KEY}=${payload}`);
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [hashReady, theme, gridSize, colorMode, inputGrid, kernelSize, stride, paddingMode, customPadding, padMode, dilation,
+      convMode, depthwiseKernels, activation, activationAlpha, filters, poolType, poolSize, poolStride, stackLayers, colorMapName, normalization, showValues]);
+
   // --- CNN ENGINE (MEMOIZED) ---
   
   // 1. Convolution
-  const featureMaps = useMemo(() => {
-    return Object.values(filters).map(filter => {
-      const kSize = filter.kernel.length;
-      const outDim = Math.floor((gridSize + 2 * padding - kSize) / stride) + 1;
-      
-      if (outDim <= 0) return { name: filter.name, data: new Float32Array(0), dim: 0 };
-
-      const mapData = new Float32Array(outDim * outDim);
-
-      for (let y = 0; y < outDim; y++) {
-        for (let x = 0; x < outDim; x++) {
-          let sum = 0;
-          for (let ky = 0; ky < kSize; ky++) {
-            for (let kx = 0; kx < kSize; kx++) {
-              const iy = (y * stride) - padding + ky;
-              const ix = (x * stride) - padding + kx;
-              
-              let inputVal = 0; // Default for padding
-              if (iy >= 0 && iy < gridSize && ix >= 0 && ix < gridSize) {
-                inputVal = inputGrid[iy * gridSize + ix];
-              }
+  // One view per input channel (a single view in grayscale mode)
+  const inputChannels = useMemo(() => {
+    const n = gridSize * gridSize;
+    return Array.from({ length: channelCount }, (_, c) => inputGrid.subarray(c * n, (c + 1) * n));
+  }, [inputGrid, gridSize, channelCount]);
 
-              const weight = filter.kernel[ky][kx];
-              sum += inputVal * weight;
-            }
+  // Kept as one array per pick/grid so the pixel editor only re-seeds when something changed
+  const pixelEditValues = useMemo(
+    () => pixelEdit && inputChannels.map(ch => ch[pixelEdit[1] * gridSize + pixelEdit[0]]),
+    [pixelEdit, inputChannels, gridSize]
+  );
+
+  const convOptions = { stride, padding, padMode, dilation, activation, alpha: activationAlpha, depthwise: separable ? depthwiseKernels : null };
+  const poolOptions = { type: poolType, size: poolSize, stride: poolStride };
+
+  // Conv -> pool -> stacked layers. Everything that decides how many maps there are and how
+  // big they are goes into the layout key; a result is only shown for the current layout
+  const layoutKey = JSON.stringify([gridSize, channelCount, kernelSize, stride, padding, dilation, separable,
+    Object.keys(filters), poolSize, poolStride, stackLayers]);
+  const [workerReady, setWorkerReady] = useState(() => typeof Worker !== 'undefined');
+  const [workerResult, setWorkerResult] = useState(null);
+  const pipelineClient = useRef(null);
+  const jobSeq = useRef(0);
+  const submittedKey = useRef(null);
+  const pipelineJob = { input: inputGrid, dim: gridSize, channelCount, filters, options: convOptions, pool: poolOptions, stack: stackLayers };
+
+  // With a worker, the main thread only lays out blank maps for a new layout, so views never
+  // index maps that don't exist yet. Without one (old browsers, Node), it computes everything
+  const liveInputs = [inputGrid, filters, padMode, activation, activationAlpha, depthwiseKernels, poolType];
+  const localResult = useMemo(
+    () => ({ key: layoutKey, ...(workerReady ? blankPipeline(pipelineJob) : runPipeline(pipelineJob)) }),
+    [layoutKey, workerReady, ...liveInputs.map(v => (workerReady ? null : v))]
+  );
+
+  useEffect(() => {
+    if (!workerReady) return;
+    pipelineClient.current = createPipelineClient(setWorkerResult, () => setWorkerReady(false));
+    return () => pipelineClient.current.dispose();
+  }, [workerReady]);
+
+  // Every edit goes to the worker. A job still running for the previous layout is abandoned
+  useEffect(() => {
+    if (!workerReady) return;
+    if (submittedKey.current !== layoutKey) pipelineClient.current.cancel();
+    submittedKey.current = layoutKey;
+    pipelineClient.current.submit({ id: ++jobSeq.current, key: layoutKey, ...pipelineJob });
+  }, [workerReady, layoutKey, ...liveInputs]);
+
+  // Until the worker answers, the last result for this layout stays on screen (blank maps if
+  // it has none yet)
+  const shownResult = workerReady && workerResult && workerResult.key === layoutKey ? workerResult : localResult;
+  const { featureMaps, pooledMaps, stackOutputs } = shownResult;
+
+  // Separable form only: the depthwise step on its own, one map per input channel
+  const depthMaps = separable ? shownResult.depthMaps : null;
+
+  // Colour ranges per map, memoized so grids only repaint when values or settings change
+  const featureScales = useMemo(() => featureMaps.map(m => colorRange(m.data, normalization, colorMapName)), [featureMaps, normalization, colorMapName]);
+  const depthScales = useMemo(() => depthMaps?.map(m => colorRange(m.data, normalization, colorMapName)), [depthMaps, normalization, colorMapName]);
+  const pooledScales = useMemo(() => pooledMaps.map(m => colorRange(m.data, normalization, colorMapName)), [pooledMaps, normalization, colorMapName]);
+  const stackScales = useMemo(() => stackOutputs.map(maps => maps.map(m => colorRange(m.data, normalization, colorMapName))), [stackOutputs, normalization, colorMapName]);
+
+  // Transform compare: the selected filter's map for the input before the last transform,
+  // the current map, and their difference after lining the "before" map up with the transform
+  const comparison = useSettledMemo(() => {
+    if (!lastTransform || lastTransform.base.length !== inputGrid.length) return null;
+    const idx = Math.min(compareFilterIdx, featureMaps.length - 1);
+    const after = featureMaps[idx];
+    if (!after || after.dim === 0) return null;
+    const n = gridSize * gridSize;
+    const baseChannels = Array.from({ length: channelCount }, (_, c) => lastTransform.base.subarray(c * n, (c + 1) * n));
+    const before = convolveFilters(baseChannels, gridSize, { [idx]: Object.values(filters)[idx] }, convOptions)[0];
+    const { align } = INPUT_TRANSFORMS[lastTransform.key];
+    const aligned = align && align(before.data, before.dim, lastTransform.params, stride);
+    const diff = after.data.map((v, i) => v - (aligned || before.data)[i]);
+    // Before and after share one colour range so equal values look equal
+    const both = new Float32Array(before.data.length * 2);
+    both.set(before.data);
+    both.set(after.data, before.data.length);
+    return {
+      idx, before, after, diff, aligned: Boolean(aligned), unalignable: Boolean(align) && !aligned,
+      maxDiff: diff.reduce((m, v) => Math.max(m, Math.abs(v)), 0),
+      scale: colorRange(both, normalization, colorMapName),
+      diffScale: colorRange(diff, 'absmax', 'diverging'),
+    };
+  }, [lastTransform, inputGrid, compareFilterIdx, featureMaps, gridSize, channelCount, filters, stride, padding, padMode, dilation, separable, depthwiseKernels, activation, activationAlpha, normalization, colorMapName], showCompare);
+
+  // Frequency view: the selected filter's spectra for one channel, and its whole map rebuilt
+  // from per-channel spectrum products and checked against a circular spatial pass
+  const frequency = useSettledMemo(() => {
+    const list = Object.values(filters);
+    const idx = Math.min(frequencyFilterIdx, list.length - 1);
+    const channel = Math.min(frequencyChannel, channelCount - 1);
+    const slices = equivalentSlices(list[idx], channelCount, separable ? depthwiseKernels : null);
+    const inputSpectra = inputChannels.map(ch => dft2d(ch, gridSize));
+    const kernelSpectra = slices.map(kernel => dft2d(embedKernel(kernel, gridSize, dilation), gridSize));
+    const mapSpectrum = inputSpectra
+      .map((spectrum, c) => correlateSpectra(spectrum, kernelSpectra[c]))
+      .reduce((sum, s) => ({ re: sum.re.map((v, i) => v + s.re[i]), im: sum.im.map((v, i) => v + s.im[i]) }));
+    const product = idft2d(mapSpectrum, gridSize);
+    const spatial = conv2d(inputChannels, gridSize, slices, { padding: 'same', padMode: 'circular', dilation }).data;
+    const diff = spatial.map((v, i) => v - product[i]);
+    const both = new Float32Array(spatial.length * 2);
+    both.set(spatial);
+    both.set(product, spatial.length);
+    const view = (label, spectrum) => {
+      const { magnitude, phase } = spectrumView(spectrum, gridSize);
+      const logMagnitude = magnitude.map(m => Math.log1p(m));
+      return { label, magnitude: logMagnitude, magnitudeScale: colorRange(logMagnitude, 'minmax', 'viridis'), phase, raw: magnitude };
+    };
+    const spectra = [
+      view(channelCount > 1 ? `Input ${CHANNELS[channel].short}` : 'Input', inputSpectra[channel]),
+      view(`Kernel${channelCount > 1 ? ` ${CHANNELS[channel].short}` : ''} (zero-padded)`, kernelSpectra[channel]),
+      view('Feature map', mapSpectrum),
+    ];
+    return {
+      idx, channel, dim: gridSize, spectra, spatial, product, diff,
+      gains: bandGains(spectra[1].raw, gridSize),
+      maxDiff: diff.reduce((m, v) => Math.max(m, Math.abs(v)), 0),
+      scale: colorRange(both, normalization, colorMapName),
+      diffScale: colorRange(diff, 'absmax', 'diverging'),
+    };
+  }, [filters, frequencyFilterIdx, frequencyChannel, channelCount, separable, depthwiseKernels, inputChannels, gridSize, dilation, normalization, colorMapName], showFrequency);
+
+  // Digit classifier over the input, resampled to 28x28. It reads the settled input, not every
+  // step of a stroke
+  const digitPrediction = useSettledMemo(() => {
+    const input = toDigitInput(inputGrid, gridSize, channelCount);
+    return { input, ...classifyDigit(digitModel, input) };
+  }, [inputGrid, gridSize, channelCount]);
+
+  // Saliency: how much each input pixel drives the objective, scaled to [0, 1] for the overlay.
+  // A classifier score goes through the classifier; Σ of a feature map back through its filter.
+  // Only worked out while the overlay is on. It runs its own (cheap) forward pass rather than
+  // wait for digitPrediction, which settles on the same schedule
+  const saliency = useSettledMemo(() => {
+    const [kind, which] = saliencyObjective.split(':');
+    let cells;
+    let value;
+    let label;
+    if (kind === 'class') {
+      const { probs, logits } = classifyDigit(digitModel, toDigitInput(inputGrid, gridSize, channelCount));
+      const cls = which === 'top' ? probs.indexOf(Math.max(...probs)) : Number(which);
+      cells = digitSaliency(digitModel, inputGrid, gridSize, channelCount, cls, saliencyMethod);
+      value = logits[cls];
+      label = `score(${cls})`;
+    } else {
+      const list = Object.values(filters);
+      const idx = Math.min(Number(which), list.length - 1);
+      const slices = equivalentSlices(list[idx], channelCount, separable ? depthwiseKernels : null);
+      const options = filterOptions(list[idx], { ...convOptions, depthwise: null });
+      const forward = convForward(inputChannels, gridSize, slices, options);
+      const { gradIn } = convBackward(inputChannels, gridSize, slices, forward.out.map(() => 1), options, forward);
+      cells = new Float32Array(gridSize * gridSize);
+      gradIn.forEach(channel => channel.forEach((g, i) => { cells[i] += Math.abs(g); }));
+      value = forward.out.reduce((a, b) => a + b, 0);
+      label = `Σ map ${idx + 1}`;
+    }
+    const peak = cells.reduce((m, v) => Math.max(m, v), 0);
+    return { data: peak > 0 ? cells.map(v => v / peak) : cells, dim: gridSize, value, label };
+  }, [saliencyObjective, saliencyMethod, inputGrid, inputChannels, gridSize, channelCount, filters, separable, depthwiseKernels, stride, padding, padMode, dilation, activation, activationAlpha], showSaliency);
+
+  // Every stage in order, described in the same shape as stack layers so
+  // receptive fields can be traced through all of them uniformly
+  const pipeline = [
+    { type: 'conv', kernelSize, stride, padding, dilation },
+    { type: 'pool', poolType, size: poolSize, stride: poolStride },
+    ...stackLayers,
+  ];
+
+  // --- TRAINING ---
+
+  const trainIdx = trainKey ? Object.keys(filters).indexOf(trainKey) : -1;
+  const teacherKernels = useMemo(() => generateLibraryKernels(kernelSize), [kernelSize]);
+
+  // The map the trained filter should produce: a hidden teacher kernel (through the trained
+  // filter's activation, no bias) applied to the current input, or a map drawn by hand
+  // (blank again whenever the output size changes)
+  const trainTarget = useMemo(() => {
+    if (trainIdx < 0) return null;
+    const dim = featureMaps[trainIdx].dim;
+    if (trainSource === 'drawn') {
+      return drawnTarget && drawnTarget.length === dim * dim ? drawnTarget : new Float32Array(dim * dim);
+    }
+    const teacher = teacherKernels.find(t => t.name === teacherName) ?? teacherKernels[0];
+    const { activation: fn, alpha } = filters[trainKey];
+    return convolveFilters(inputChannels, gridSize, { teacher: { ...teacher, activation: fn, alpha } }, convOptions)[0].data;
+  }, [trainIdx, trainSource, drawnTarget, teacherName, teacherKernels, featureMaps, filters, trainKey, inputChannels, gridSize, stride, padding, padMode, dilation, activation, activationAlpha]);
+  const trainTargetScale = useMemo(() => trainTarget && colorRange(trainTarget, normalization, colorMapName), [trainTarget, normalization, colorMapName]);
+
+  const startTraining = (key) => {
+    setTrainKey(key);
+    setIsTraining(false);
+    setLossHistory([]);
+    setLastTrainStep(null);
+  };
+
+  const stopTraining = () => {
+    setTrainKey(null);
+    setIsTraining(false);
+    setLastTrainStep(null);
+  };
+
+  const trainStep = () => {
+    const filter = filters[trainKey];
+    if (!filter || !trainTarget) {
+      stopTraining();
+      return;
+    }
+    const before = kernelSlices(filter, channelCount);
+    const options = filterOptions(filter, convOptions);
+    const { loss, grad, gradBias, gradAlpha, delta, z, out, dim } = kernelGradient(inputChannels, gridSize, before, trainTarget, options);
+    // A learning rate that is too high blows the weights up; stop rather than fill them with NaN
+    if (!Number.isFinite(loss) || loss > 1e6) {
+      setIsTraining(false);
+      return;
+    }
+    const after = before.map((slice, c) => slice.map((row, ky) => row.map((w, kx) => w - learningRate * grad[c][ky][kx])));
+    const bias = options.bias - learningRate * gradBias;
+    const next = channelCount === 1 ? { ...filter, kernel: after[0], bias } : { ...filter, channels: after, bias };
+    // PReLU's slope is a parameter too, learned alongside the weights: the filter's own
+    // when it picked its activation, otherwise the layer's
+    if (ACTIVATIONS[options.activation].dAlpha) {
+      if (filter.activation) next.alpha = options.alpha - learningRate * gradAlpha;
+      else setActivationAlpha(a => a - learningRate * gradAlpha);
+    }
+    updateFilter(trainKey, next);
+    setLossHistory(prev => [...prev, loss].slice(-500));
+    setLastTrainStep({ loss, lr: learningRate, before, grad, after, gradBias, bias: [options.bias, bias], activation: options.activation, delta, z, out, target: trainTarget, dim });
+    if (loss < 1e-8) setIsTraining(false);
+  };
+
+  // One step per tick; every step changes lossHistory, which schedules the next one
+  useEffect(() => {
+    if (!isTraining) return;
+    const timer = setTimeout(trainStep, 1000 / trainSpeed);
+    return () => clearTimeout(timer);
+  }, [isTraining, lossHistory, trainSpeed, learningRate, trainTarget]);
+
+  const randomizeTrainedFilter = () => {
+    const filter = filters[trainKey];
+    const slices = randomSlices(channelCount, filter.kernel.length);
+    updateFilter(trainKey, channelCount === 1 ? { ...filter, kernel: slices[0], bias: 0 } : { ...filter, channels: slices, bias: 0 });
+    setLossHistory([]);
+    setLastTrainStep(null);
+  };
+
+  // Switching to a drawn target starts from whatever target was showing
+  const changeTrainSource = (src) => {
+    if (src === 'drawn' && trainSource !== 'drawn') setDrawnTarget(trainTarget && new Float32Array(trainTarget));
+    setTrainSource(src);
+  };
+
+  const paintTarget = (x, y, value) => {
+    const dim = featureMaps[trainIdx]?.dim ?? 0;
+    setDrawnTarget(prev => {
+      const next = prev && prev.length === dim * dim ? new Float32Array(prev) : new Float32Array(dim * dim);
+      next[y * dim + x] = value;
+      return next;
+    });
+  };
+
+  // --- MATH CALCULATOR ---
+  // keepAll: include every product (the calculation trace export), not just the ones worth listing
+  const computeConvDetails = (x, y, filterIndex, keepAll = false) => {
+      const filterKey = Object.keys(filters)[filterIndex];
+      const filter = filters[filterKey];
+      if(!filter) return null;
+
+      // Separable: the products are the shared depthwise step, and the filter's own 1×1
+      // weights mix the per-channel subtotals (the pointwise step)
+      const slices = separable ? depthwiseKernels : kernelSlices(filter, channelCount);
+      const pointwise = separable ? pointwiseWeights(filter, channelCount) : null;
+      const math = convPixelMath(inputChannels, gridSize, slices, x, y, filterOptions(filter, convOptions), pointwise);
+
+      // Big grids list only the products that add something
+      const channelGroups = math.channelGroups.map(({ calculations, subtotal }, c) => ({
+        channel: channelCount > 1 ? CHANNELS[c] : null,
+        calculations: keepAll || gridSize <= 14 ? calculations : calculations.filter(calc => calc.product !== 0),
+        subtotal,
+      }));
+
+      return { ...math, channelGroups, pointwise, filterName: filter.name };
+  };
+
+  // Backward pass for the hovered conv pixel's filter, for the math panel's backward view. It
+  // keeps the pixel, inputs and options it was worked out for, since it catches up after a pause
+  const backpropPixel = mathPass === 'backward' && !separable && hoveredPixel?.layer === 'conv' ? hoveredPixel : null;
+  const backprop = useSettledMemo(() => {
+    const { x, y, filterIndex } = backpropPixel;
+    const filter = Object.values(filters)[filterIndex];
+    if (!filter) return null;
+    const slices = kernelSlices(filter, channelCount);
+    const options = filterOptions(filter, convOptions);
+    const forward = convForward(inputChannels, gridSize, slices, options);
+    const i = y * forward.dim + x;
+    const upstream = BACKPROP_LOSSES[backpropLoss].upstream(forward.out, i, upstreamGrad);
+    const result = convBackward(inputChannels, gridSize, slices, upstream, options, forward);
+    return {
+      ...result, x, y, filterName: filter.name, channels: inputChannels, inDim: gridSize, options,
+      slices, i, upstream, activation: options.activation, alpha: options.alpha,
+      deltaScale: colorRange(result.delta, 'absmax', 'diverging'),
+      gradInScales: result.gradIn.map(g => colorRange(g, 'absmax', 'diverging')),
+    };
+  }, [backpropPixel, filters, channelCount, inputChannels, gridSize, stride, padding, padMode, dilation, activation, activationAlpha, backpropLoss, upstreamGrad], Boolean(backpropPixel));
+
+  const getMathDetails = () => {
+      if (!hoveredPixel || hoveredPixel.layer !== 'conv') return null;
+      return computeConvDetails(hoveredPixel.x, hoveredPixel.y, hoveredPixel.filterIndex);
+  };
+
+  // Every output pixel of every filter, one CSV row per product (long format, ready for pandas)
+  const exportCalculationTrace = () => {
+      const header = ['filter', 'out_y', 'out_x', 'channel', 'ky', 'kx', 'in_y', 'in_x', 'padded', 'input', 'weight', 'product', 'pointwise', 'sum', 'bias', 'output'];
+      const rows = [header.join(',')];
+      featureMaps.forEach((map, f) => {
+        for (let y = 0; y < map.dim; y++) {
+          for (let x = 0; x < map.dim; x++) {
+            const details = computeConvDetails(x, y, f, true);
+            details.channelGroups.forEach((group, c) => {
+              group.calculations.forEach(calc => {
+                rows.push([
+                  csvField(details.filterName), y, x, group.channel ? group.channel.short : c, calc.ky, calc.kx, calc.iy, calc.ix,
+                  calc.isPadding ? 1 : 0, calc.val, calc.weight, calc.product, details.pointwise ? details.pointwise[c] : 1, details.total, details.bias, details.activated,
+                ].join(','));
+              });
+            });
           }
-          const val = ACTIVATIONS[activation](sum);
-          mapData[y * outDim + x] = val;
+        }
+      });
+      downloadBlob(new Blob([rows.join('\n') + '\n'], { type: 'text/csv' }), 'convolution-trace.csv');
+  };
+
+  const getPoolDetails = () => {
+      if (!hoveredPixel || hoveredPixel.layer !== 'pool') return null;
+
+      const { x, y, filterIndex } = hoveredPixel;
+      const map = featureMaps[filterIndex];
+      const filter = Object.values(filters)[filterIndex];
+      if (!map || !filter) return null;
+
+      const cells = [];
+      for (let py = 0; py < poolSize; py++) {
+        for (let px = 0; px < poolSize; px++) {
+          const fx = x * poolStride + px;
+          const fy = y * poolStride + py;
+          cells.push({ x: fx, y: fy, val: map.data[fy * map.dim + fx] });
         }
       }
-      return { name: filter.name, data: mapData, dim: outDim };
-    });
-  }, [inputGrid, stride, padding, activation, gridSize, filters]);
 
-  // --- MATH CALCULATOR ---
-  const getMathDetails = () => {
-      if (!hoveredPixel || hoveredPixel.layer !== 'conv') return null;
-      
-      const { x, y, filterIndex } = hoveredPixel;
-      const filterKey = Object.keys(filters)[filterIndex];
-      const filter = filters[filterKey];
-      if(!filter) return null;
+      const values = cells.map(c => c.val);
+      const result = POOLING[poolType](values);
+      // Max/min keep one value; the first match wins ties, like argmax
+      const winnerIdx = poolType === 'avg' ? -1 : values.indexOf(result);
+      const sum = values.reduce((a, b) => a + b, 0);
+
+      return { cells, result, winnerIdx, sum, filterName: filter.name };
+  };
+
+  const getStackDetails = () => {
+      if (!hoveredPixel || hoveredPixel.layer !== 'stack') return null;
+
+      const { x, y, filterIndex, stackIndex } = hoveredPixel;
+      const layer = stackLayers[stackIndex];
+      const out = stackOutputs[stackIndex]?.[filterIndex];
+      const inputs = stackIndex === 0 ? pooledMaps : stackOutputs[stackIndex - 1];
+      if (!layer || !out || !inputs) return null;
 
-      const kSize = filter.kernel.length;
-      let calculations = [];
-      let total = 0;
+      const result = out.data[y * out.dim + x];
+      const details = { layer, result, channelName: out.name, lines: [] };
 
-      for (let ky = 0; ky < kSize; ky++) {
-        for (let kx = 0; kx < kSize; kx++) {
-            const iy = (y * stride) - padding + ky;
-            const ix = (x * stride) - padding + kx;
-            
-            let val = 0;
-            let isPadding = true;
-            if (iy >= 0 && iy < gridSize && ix >= 0 && ix < gridSize) {
-                val = inputGrid[iy * gridSize + ix];
-                isPadding = false;
-            }
-            
-            const weight = filter.kernel[ky][kx];
-            const product = val * weight;
-            total += product;
-            
-            if (gridSize <= 14 || product !== 0) {
-                 calculations.push({ val, weight, product, isPadding });
+      if (layer.type === 'conv') {
+        // One partial sum per input channel; the output is their total
+        const kernels = stackConvKernels(layer, inputs.length);
+        details.lines = inputs.map((map, c) => {
+          let partial = 0;
+          for (let ky = 0; ky < layer.kernelSize; ky++) {
+            for (let kx = 0; kx < layer.kernelSize; kx++) {
+              const ix = x * layer.stride - layer.padding + kx;
+              const iy = y * layer.stride - layer.padding + ky;
+              partial += samplePadded(map.data, map.dim, ix, iy, 'zeros').val * kernels[filterIndex][c][ky][kx];
             }
+          }
+          return { label: `${map.name} ∗ k[${c}]`, value: partial };
+        });
+      } else if (layer.type === 'pool') {
+        const map = inputs[filterIndex];
+        for (let py = 0; py < layer.size; py++) {
+          for (let px = 0; px < layer.size; px++) {
+            const fx = x * layer.stride + px;
+            const fy = y * layer.stride + py;
+            details.lines.push({ label: `in(${fx},${fy})`, value: map.data[fy * map.dim + fx] });
+          }
+        }
+      } else {
+        const map = inputs[filterIndex];
+        details.lines.push({ label: 'in', value: map.data[y * map.dim + x] });
+        if (layer.type === 'batchnorm') {
+          details.lines.push({ label: 'mean', value: out.mean });
+          details.lines.push({ label: 'var', value: out.variance });
         }
       }
-      
-      const activated = ACTIVATIONS[activation](total);
-      
-      return { calculations, total, activated, filterName: filter.name };
+      return details;
   };
 
   // --- RENDERERS ---
 
-  const ActivationGraph = ({ type }) => {
-      // Simple visualizer for activation function
-      const pts = [];
-      const range = 10;
-      for(let i=-range; i<=range; i+=1) {
-          const y = ACTIVATIONS[type](i);
-          const px = (i + range) * (60 / (2*range));
-          let py = 30;
-          if(type === 'relu') py = 30 - (y * 3); // Scale down
-          else if (type === 'sigmoid' || type === 'tanh') py = 30 - (y * 15);
-          else py = 30 - (y * 3);
-
-          pts.push(`${px},${py}`);
-      }
+  // Stage index in `pipeline`: conv = 0, pool = 1, stacked layers after that
+  const stageOf = (px) => px.layer === 'conv' ? 0 : px.layer === 'pool' ? 1 : 2 + px.stackIndex;
 
-      return (
-          <div className="w-16 h-10 bg-slate-900 border border-slate-700 rounded relative overflow-hidden">
-              <svg width="100%" height="100%" viewBox="0 0 60 40" className="text-blue-500">
-                  <line x1="0" y1="30" x2="60" y2="30" stroke="#475569" strokeWidth="1" /> {/* X Axis */}
-                  <line x1="30" y1="0" x2="30" y2="40" stroke="#475569" strokeWidth="1" /> {/* Y Axis */}
-                  <polyline points={pts.join(' ')} fill="none" stroke="currentColor" strokeWidth="2" />
-              </svg>
-          </div>
-      );
+  // Walks from the hovered pixel back to the input, recording the region read at every stage.
+  // trace[-1] is the input grid. channel null means all channels (a conv reads every input channel)
+  const getReceptiveTrace = () => {
+    if (!hoveredPixel) return null;
+    const start = stageOf(hoveredPixel);
+    let region = { x0: hoveredPixel.x, y0: hoveredPixel.y, x1: hoveredPixel.x, y1: hoveredPixel.y };
+    let channel = hoveredPixel.filterIndex;
+    const trace = { [start]: { region, channel } };
+    for (let i = start; i >= 0; i--) {
+      // A single pixel of a dilated conv reads a sparse grid of cells (step apart), not its whole span
+      const step = region.x0 === region.x1 && region.y0 === region.y1 && pipeline[i].dilation > 1 ? pipeline[i].dilation : 1;
+      region = traceRegionBack(pipeline[i], region);
+      if (pipeline[i].type === 'conv') channel = null;
+      trace[i - 1] = { region, channel, step };
+    }
+    return trace;
   };
 
-  const GridVisualizer = ({ data, dim, label, highlightRegion, onHoverPixel, isInteractive = false, showNums = false, usePadding = 0 }) => {
-    
-    // Adjusted pixel size: 20 for interactive (bigger)
-    const pixelSize = isInteractive ? 20 : 22; 
-
-    const lightThemeGridBg = 'bg-slate-200';
-    const darkThemeGridBg = 'bg-black';
-    const gridBg = theme === 'light' ? lightThemeGridBg : darkThemeGridBg;
-    const gridBorder = theme === 'light' ? 'border-slate-400' : 'border-slate-700';
+  const receptiveTrace = getReceptiveTrace();
+  const traceColor = hoveredPixel
+    ? (hoveredPixel.layer === 'conv' ? '#3b82f6' : hoveredPixel.layer === 'pool' ? '#f59e0b' : LAYER_TYPES[stackLayers[hoveredPixel.stackIndex]?.type]?.color)
+    : null;
 
-    return (
-      <div className="flex flex-col items-center gap-2 relative group/grid">
-        <div className="relative p-px" style={{ 
-            padding: usePadding > 0 ? `${(usePadding/dim)*100}%` : '0', 
-            border: usePadding > 0 ? '1px dashed var(--color-border)' : 'none'
-        }}>
-            {usePadding > 0 && <div className="absolute -top-4 left-0 text-[8px] text-slate-500">Padding: {usePadding}px</div>}
-            
-            <div 
-            className={`relative ${gridBg} ${gridBorder} border shadow-lg select-none overflow-hidden`}
-            style={{ 
-                width: dim * pixelSize + 'px', 
-                height: dim * pixelSize + 'px',
-                touchAction: 'none'
-            }}
-            onMouseLeave={() => onHoverPixel && onHoverPixel(null)}
-            >
-            <div 
-                className="grid w-full h-full pointer-events-none"
-                style={{ gridTemplateColumns: `repeat(${dim}, 1fr)` }}
-            >
-                {Array.from(data).map((val, idx) => {
-                return (
-                    <div 
-                    key={idx}
-                    onMouseEnter={(!isInteractive && onHoverPixel) ? () => {
-                        const x = idx % dim;
-                        const y = Math.floor(idx / dim);
-                        onHoverPixel({ x, y });
-                    } : undefined}
-                    style={{ backgroundColor: `rgb(${val*255}, ${val*255}, ${val*255})` }}
-                    className={`w-full h-full flex items-center justify-center border-[0.5px] border-slate-900/10 ${!isInteractive ? 'pointer-events-auto' : ''}`} 
-                    >
-                        {/* Show numbers if toggle is on */}
-                        {showNums && (
-                            <span className={`text-[7px] font-mono font-bold ${val > 0.5 ? 'text-black' : 'text-white'}`}>
-                                {val.toFixed(1)}
-                            </span>
-                        )}
-                    </div>
-                );
-                })}
-            </div>
-            {highlightRegion && (
-                <div 
-                className="absolute border-2 transition-all duration-75 ease-out z-10 shadow-[0_0_10px_rgba(59,130,246,0.5)]"
-                style={{
-                    borderColor: highlightRegion.color || '#ef4444',
-                    left: `${(highlightRegion.x / dim) * 100}%`,
-                    top: `${(highlightRegion.y / dim) * 100}%`,
-                    width: `${(highlightRegion.w / dim) * 100}%`,
-                    height: `${(highlightRegion.h / dim) * 100}%`,
-                }}
-                />
-            )}
-            </div>
-        </div>
-        
-        <div className="text-center">
-             <span className="text-[10px] font-mono text-slate-400 block">{label} ({dim}×{dim})</span>
-        </div>
-      </div>
-    );
+  const getStageHighlight = (stage, channelIdx) => {
+    const entry = receptiveTrace?.[stage];
+    if (!entry || (entry.channel !== null && entry.channel !== channelIdx)) return null;
+    const { x0, y0, x1, y1 } = entry.region;
+    const isHovered = stage === stageOf(hoveredPixel);
+    return { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1, step: entry.step, color: isHovered ? 'white' : traceColor };
   };
 
-  const getInputHighlight = () => {
-    if (!hoveredPixel) return null;
-    if (hoveredPixel.layer === 'conv') {
-      const { x, y } = hoveredPixel;
-      return {
-        x: (x * stride) - padding, 
-        y: (y * stride) - padding,
-        w: kernelSize, h: kernelSize, color: '#3b82f6'
-      };
-    }
-    return null;
-  };
+  // The pixel picked for exact entry stays marked while nothing is hovered
+  const getInputHighlight = () => getStageHighlight(-1, 0)
+    ?? (drawTool === 'pixel' && pixelEdit ? { x: pixelEdit[0], y: pixelEdit[1], w: 1, h: 1, color: '#f59e0b' } : null);
+  const getFeatureMapHighlight = (idx) => getStageHighlight(0, idx);
 
   const mathInfo = getMathDetails();
+  const poolInfo = getPoolDetails();
+  const stackInfo = getStackDetails();
+  const inputField = receptiveTrace?.[-1]?.region;
   
   const themeClasses = {
       dark: 'bg-slate-950 text-slate-200 border-slate-800',
@@ -441,6 +2785,21 @@ export default function DeepLabCNN() {
                 {theme === 'dark' ? <Sun className="w-4 h-4" /> : <Moon className="w-4 h-4" />}
              </button>
 
+             {/* Share / Export / Import */}
+             <div className="flex items-center gap-1">
+                <button onClick={copyShareLink} className={`flex items-center gap-1 px-2 py-1.5 rounded-lg border text-xs transition-all ${theme === 'dark' ? 'bg-slate-800 border-slate-700 text-slate-300 hover:text-white' : 'bg-slate-200 border-slate-300 text-slate-700'}`} title="Copy Link to This Workbench">
+                    {shareCopied ? <Check className="w-3 h-3 text-emerald-400" /> : <Link className="w-3 h-3" />}
+                    {shareCopied ? 'Copied' : 'Link'}
+                </button>
+                <button onClick={exportWorkbench} className={`flex items-center gap-1 px-2 py-1.5 rounded-lg border text-xs transition-all ${theme === 'dark' ? 'bg-slate-800 border-slate-700 text-slate-300 hover:text-white' : 'bg-slate-200 border-slate-300 text-slate-700'}`} title="Export JSON">
+                    <Download className="w-3 h-3" /> JSON
+                </button>
+                <button onClick={() => workbenchFileRef.current.click()} className={`flex items-center gap-1 px-2 py-1.5 rounded-lg border text-xs transition-all ${theme === 'dark' ? 'bg-slate-800 border-slate-700 text-slate-300 hover:text-white' : 'bg-slate-200 border-slate-300 text-slate-700'}`} title="Import JSON">
+                    <FileJson className="w-3 h-3" /> Import
+                </button>
+                <input type="file" ref={workbenchFileRef} className="hidden" accept="application/json,.json" onChange={importWorkbench} />
+             </div>
+
              {/* Values Toggle */}
              <button 
                 onClick={() => setShowValues(!showValues)}
@@ -455,7 +2814,7 @@ export default function DeepLabCNN() {
 
              {/* Animation Control */}
              <button 
-                onClick={() => setIsAnimating(!isAnimating)}
+                onClick={toggleScan}
                 className={`flex items-center gap-2 px-4 py-1.5 rounded-full border text-xs font-bold transition-all ${isAnimating ? 'bg-amber-500 border-amber-600 text-white animate-pulse' : 'bg-emerald-600 border-emerald-500 text-white hover:bg-emerald-500'}`}
              >
                 {isAnimating ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />}
@@ -468,8 +2827,8 @@ export default function DeepLabCNN() {
              <div className="flex flex-col items-center gap-1">
                  <span className="text-[10px] text-slate-500 uppercase font-bold">Input Size</span>
                  <div className="flex bg-slate-800 rounded p-0.5">
-                  {[14].map(s => (
-                    <button key={s} onClick={() => setGridSize(s)} className={`px-2 py-0.5 rounded text-xs ${gridSize === s ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}>{s}</button>
+                  {GRID_SIZES.map(s => (
+                    <button key={s} onClick={() => changeGridSize(s)} className={`px-2 py-0.5 rounded text-xs ${gridSize === s ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}>{s}</button>
                   ))}
                 </div>
              </div>
@@ -479,8 +2838,89 @@ export default function DeepLabCNN() {
                 <span className="text-[10px] text-slate-500 uppercase font-bold">Kernel</span>
                 <div className="flex bg-slate-800 rounded p-0.5">
                   {[3, 5].map(s => (
-                    <button key={s} onClick={() => setKernelSize(s)} className={`px-2 py-0.5 rounded text-xs ${kernelSize === s ? 'bg-emerald-600 text-white' : 'text-slate-400 hover:text-white'}`}>{s}x{s}</button>
+                    <button key={s} onClick={() => changeKernelSize(s)} className={`px-2 py-0.5 rounded text-xs ${kernelSize === s ? 'bg-emerald-600 text-white' : 'text-slate-400 hover:text-white'}`}>{s}x{s}</button>
+                  ))}
+                </div>
+             </div>
+
+             {/* Stride Control */}
+             <div className="flex flex-col items-center gap-1">
+                <span className="text-[10px] text-slate-500 uppercase font-bold">Stride</span>
+                <div className="flex bg-slate-800 rounded p-0.5">
+                  {[1, 2, 3, 4].map(s => (
+                    <button key={s} onClick={() => setStride(s)} className={`px-2 py-0.5 rounded text-xs ${stride === s ? 'bg-amber-600 text-white' : 'text-slate-400 hover:text-white'}`}>{s}</button>
+                  ))}
+                </div>
+             </div>
+
+             {/* Dilation (atrous rate): gaps between the kernel's taps */}
+             <div className="flex flex-col items-center gap-1">
+                <span className="text-[10px] text-slate-500 uppercase font-bold">Dilation</span>
+                <div className="flex bg-slate-800 rounded p-0.5">
+                  {[1, 2, 3, 4].map(d => (
+                    <button key={d} onClick={() => setDilation(d)} className={`px-2 py-0.5 rounded text-xs ${dilation === d ? 'bg-cyan-600 text-white' : 'text-slate-400 hover:text-white'}`}>{d}</button>
+                  ))}
+                </div>
+             </div>
+
+             {/* Padding Control */}
+             <div className="flex flex-col items-center gap-1">
+                <span className="text-[10px] text-slate-500 uppercase font-bold">Padding</span>
+                <div className="flex items-center bg-slate-800 rounded p-0.5">
+                  {Object.entries(PADDING_PRESETS).map(([mode, preset]) => (
+                    <button key={mode} onClick={() => setPaddingMode(mode)} className={`px-2 py-0.5 rounded text-xs ${paddingMode === mode ? 'bg-purple-600 text-white' : 'text-slate-400 hover:text-white'}`}>{preset.label}</button>
                   ))}
+                  <input
+                    type="number"
+                    min={0}
+                    max={extent - 1}
+                    value={padding}
+                    onChange={(e) => {
+                        const p = parseInt(e.target.value, 10);
+                        if (!Number.isNaN(p)) {
+                            setCustomPadding(Math.max(0, Math.min(extent - 1, p)));
+                            setPaddingMode('custom');
+                        }
+                    }}
+                    className={`w-9 ml-1 text-xs text-center rounded bg-slate-900 outline-none ${paddingMode === 'custom' ? 'text-purple-300 ring-1 ring-purple-600' : 'text-slate-400'}`}
+                    title="Custom Padding"
+                  />
+                </div>
+             </div>
+
+             {/* Padding Mode */}
+             <div className="flex flex-col items-center gap-1">
+                <span className="text-[10px] text-slate-500 uppercase font-bold">Pad Mode</span>
+                <select
+                    value={padMode}
+                    onChange={(e) => setPadMode(e.target.value)}
+                    className={`border ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-800'} text-xs rounded py-0.5 px-1 outline-none w-24`}
+                >
+                    {Object.entries(PADDING_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                    ))}
+                </select>
+             </div>
+
+             {/* Feature Map Colours */}
+             <div className="flex flex-col gap-1">
+                <span className="text-[10px] text-slate-500 uppercase font-bold">Colour Map</span>
+                <div className="flex gap-1">
+                    <select
+                        value={colorMapName}
+                        onChange={(e) => setColorMapName(e.target.value)}
+                        className={`border ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-800'} text-xs rounded py-0.5 px-1 outline-none w-24`}
+                    >
+                        {Object.entries(COLOR_MAPS).map(([key, cm]) => <option key={key} value={key}>{cm.label}</option>)}
+                    </select>
+                    <select
+                        value={normalization}
+                        onChange={(e) => setNormalization(e.target.value)}
+                        className={`border ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-800'} text-xs rounded py-0.5 px-1 outline-none w-32`}
+                        title="Normalization"
+                    >
+                        {Object.entries(NORMALIZATIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
                 </div>
              </div>
 
@@ -488,23 +2928,26 @@ export default function DeepLabCNN() {
              <div className={`flex items-center gap-3 p-1.5 rounded-lg border ${theme === 'dark' ? 'bg-slate-800/50 border-slate-800' : 'bg-slate-200 border-slate-300'}`}>
                  <div className="flex flex-col">
                     <span className="text-[10px] text-slate-500 uppercase font-bold mb-1">Activation</span>
-                    <select 
-                        value={activation} 
-                        onChange={(e) => setActivation(e.target.value)}
-                        className={`border ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300' : 'bg-white border-slate-300 text-slate-800'} text-xs rounded py-1 px-1 outline-none w-20`}
-                    >
-                        <option value="relu">ReLU</option>
-                        <option value="sigmoid">Sigmoid</option>
-                        <option value="tanh">Tanh</option>
-                        <option value="none">No Act.</option>
-                    </select>
+                    <ActivationSelect
+                        fn={activation}
+                        alpha={activationAlpha}
+                        onChange={({ fn, alpha }) => { setActivation(fn); setActivationAlpha(alpha); }}
+                        theme={theme}
+                    />
                  </div>
-                 <ActivationGraph type={activation} />
+                 <ActivationPlot fn={activation} alpha={activationAlpha} theme={theme} />
              </div>
 
         </div>
       </div>
 
+      {workbenchError && (
+        <div className="flex items-start gap-3 px-6 py-3 bg-red-950/80 border-b border-red-800 text-red-200 text-xs">
+            <pre className="flex-1 font-mono whitespace-pre-wrap">{workbenchError}</pre>
+            <button onClick={() => setWorkbenchError(null)} className="text-red-300 hover:text-white" title="Dismiss"><X className="w-4 h-4" /></button>
+        </div>
+      )}
+
       <div className="flex flex-col lg:flex-row h-[calc(100vh-80px)]">
         
         {/* LEFT COLUMN: INPUT & MATH */}
@@ -517,35 +2960,101 @@ export default function DeepLabCNN() {
                     <ImageIcon className="w-4 h-4 text-blue-500" /> Input Layer
                 </h2>
                 <div className="flex gap-2 items-center">
+                    <ExportMenu
+                        grid={{ name: 'input', data: inputChannels[0], dim: gridSize, channels: inputChannels, channelNames: CHANNELS.map(c => c.name), composite: channelCount === 3 ? inputChannels : null }}
+                        theme={theme}
+                    />
+                    <div className="flex bg-slate-800 rounded p-0.5" title="Input Channels">
+                      {[['gray', 'Gray'], ['rgb', 'RGB']].map(([mode, label]) => (
+                        <button key={mode} onClick={() => switchColorMode(mode)} className={`px-2 py-0.5 rounded text-xs ${colorMode === mode ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}>{label}</button>
+                      ))}
+                    </div>
+                    <button onClick={() => setShowGallery(g => !g)} className={`text-xs flex items-center gap-1 px-2 py-1 rounded border transition-colors ${showGallery ? 'bg-blue-600 text-white border-blue-500' : 'bg-blue-900/30 hover:bg-blue-900/50 text-blue-300 border-blue-800'}`} title="Sample Gallery">
+                        <GalleryThumbnails className="w-3 h-3" /> Samples
+                    </button>
                     <button onClick={() => fileInputRef.current.click()} className="text-xs flex items-center gap-1 bg-blue-900/30 hover:bg-blue-900/50 text-blue-300 px-2 py-1 rounded border border-blue-800 transition-colors">
                         <Upload className="w-3 h-3" /> Upload
                     </button>
                     <input type="file" ref={fileInputRef} className="hidden" accept="image/*" onChange={handleImageUpload} />
-                    <button onClick={() => setInputGrid(new Float32Array(gridSize*gridSize).fill(0))} className="text-xs text-slate-400 hover:text-red-400 ml-1"><Eraser className="w-3 h-3" /></button>
+                    <button onClick={() => editInput(new Float32Array(channelCount*gridSize*gridSize).fill(0))} className="text-xs text-slate-400 hover:text-red-400 ml-1" title="Clear Input"><Trash2 className="w-3 h-3" /></button>
+                </div>
+            </div>
+
+            {/* Drawing Toolbar */}
+            <div className="flex flex-wrap items-center gap-3 mb-4 text-xs">
+                <div className="flex bg-slate-800 rounded p-0.5">
+                  {Object.entries(DRAW_TOOLS).map(([key, tool]) => {
+                    const Icon = tool.icon;
+                    return (
+                      <button
+                        key={key}
+                        onClick={() => { setDrawTool(key); if (key !== 'pixel') setPixelEdit(null); }}
+                        className={`p-1.5 rounded ${drawTool === key ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}
+                        title={tool.label}
+                      >
+                        <Icon className={`w-3 h-3 ${key === 'line' ? '-rotate-45' : ''}`} />
+                      </button>
+                    );
+                  })}
+                </div>
+                <label className="flex items-center gap-1 text-slate-500" title="Brush Radius">
+                    <span className="text-[10px] uppercase font-bold">Size</span>
+                    <input type="range" min={0} max={4} value={brushRadius} onChange={(e) => setBrushRadius(Number(e.target.value))} className="w-16 accent-blue-500" />
+                    <span className="font-mono w-3">{brushRadius}</span>
+                </label>
+                <label className="flex items-center gap-1 text-slate-500" title={drawTool === 'erase' ? 'Erase Strength' : 'Paint Intensity'}>
+                    <span className="text-[10px] uppercase font-bold">{drawTool === 'erase' ? 'Strength' : 'Intensity'}</span>
+                    <input type="range" min={0} max={1} step={0.05} value={brushIntensity} onChange={(e) => setBrushIntensity(Number(e.target.value))} className="w-16 accent-blue-500" />
+                    <span className="font-mono w-8">{brushIntensity.toFixed(2)}</span>
+                </label>
+                <div className="flex gap-1 ml-auto">
+                    <button onClick={undoInput} disabled={history.past.length === 0} className="p-1 text-slate-400 hover:text-white disabled:opacity-30" title="Undo (Ctrl+Z)"><Undo2 className="w-3 h-3" /></button>
+                    <button onClick={redoInput} disabled={history.future.length === 0} className="p-1 text-slate-400 hover:text-white disabled:opacity-30" title="Redo (Ctrl+Y)"><Redo2 className="w-3 h-3" /></button>
                 </div>
             </div>
 
+            <TransformBar dim={gridSize} onApply={applyTransform} compare={showCompare} onToggleCompare={setShowCompare} theme={theme} />
+
+            <SaliencyBar
+                enabled={showSaliency}
+                onToggle={setShowSaliency}
+                objective={saliencyObjective}
+                onObjectiveChange={setSaliencyObjective}
+                mapNames={featureMaps.map(m => m.name)}
+                method={saliencyMethod}
+                onMethodChange={setSaliencyMethod}
+                opacity={saliencyOpacity}
+                onOpacityChange={setSaliencyOpacity}
+                result={saliency}
+                theme={theme}
+            />
+
+            {showGallery && <SampleGallery onPick={loadSample} theme={theme} />}
+
             <div className="flex flex-col items-center justify-center gap-4 min-h-[300px]">
                 <div 
                 id="draw-area"
                 className="relative shadow-2xl shadow-blue-900/20 cursor-crosshair group touch-none"
-                onMouseDown={() => setIsDrawing(true)}
-                onMouseUp={() => setIsDrawing(false)}
-                onMouseLeave={() => setIsDrawing(false)}
-                onMouseMove={handleDraw}
-                onClick={handleDraw}
-                onTouchStart={(e) => { setIsDrawing(true); handleDraw(e); }}
-                onTouchEnd={() => setIsDrawing(false)}
-                onTouchMove={handleDraw}
+                onMouseDown={startDraw}
+                onMouseUp={endDraw}
+                onMouseLeave={endDraw}
+                onMouseMove={moveDraw}
+                onTouchStart={startDraw}
+                onTouchEnd={endDraw}
+                onTouchMove={moveDraw}
                 >
                 <GridVisualizer 
-                    data={inputGrid} 
+                    theme={theme}
+                    data={inputChannels[0]} 
+                    composite={channelCount === 3 ? inputChannels : null}
                     dim={gridSize} 
-                    label={`${gridSize}x${gridSize} Input`}
+                    label={`${gridSize}x${gridSize}${channelCount === 3 ? 'x3' : ''} Input`}
                     highlightRegion={getInputHighlight()} 
                     isInteractive={true}
                     showNums={showValues} 
-                    usePadding={0} 
+                    usePadding={padding} 
+                    padMode={padMode}
+                    overlay={saliency?.dim === gridSize ? { data: saliency.data, opacity: saliencyOpacity } : null}
                 />
                  <div className="absolute inset-0 flex items-center justify-center pointer-events-none opacity-0 group-hover:opacity-100 transition-opacity duration-500">
                     {!inputGrid.some(x=>x>0) && !isDrawing && (
@@ -556,52 +3065,393 @@ export default function DeepLabCNN() {
                     )}
                 </div>
                 </div>
+
+                {drawTool === 'pixel' && (pixelEdit ? (
+                    <PixelEditor
+                        cell={pixelEdit}
+                        values={pixelEditValues}
+                        channelNames={CHANNELS.slice(0, channelCount).map(c => c.name)}
+                        onCommit={setPixelValues}
+                        onClose={() => setPixelEdit(null)}
+                        theme={theme}
+                    />
+                ) : (
+                    <span className="text-xs text-slate-500 font-mono">Click a pixel to enter its exact value</span>
+                ))}
+
+                {channelCount === 3 && (<>
+                    {/* Brush colour: white paints every channel */}
+                    <div className="flex items-center gap-1 text-xs">
+                        <span className="text-[10px] text-slate-500 uppercase font-bold mr-1">Brush</span>
+                        <button onClick={() => setBrushChannel('all')} className={`px-2 py-0.5 rounded border ${brushChannel === 'all' ? 'bg-white text-black border-white' : 'text-slate-400 border-slate-700'}`}>White</button>
+                        {CHANNELS.map((ch, c) => (
+                            <button
+                                key={ch.short}
+                                onClick={() => setBrushChannel(c)}
+                                className={`px-2 py-0.5 rounded border ${brushChannel === c ? 'text-white' : 'text-slate-400 border-slate-700'}`}
+                                style={brushChannel === c ? { backgroundColor: ch.color, borderColor: ch.color } : undefined}
+                            >
+                                {ch.name}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="flex gap-3">
+                        {inputChannels.map((channel, c) => (
+                            <GridVisualizer
+                                key={c}
+                                theme={theme}
+                                data={channel}
+                                dim={gridSize}
+                                tint={c}
+                                cellSize={fitCellSize(gridSize + 2 * padding, 110, 7)}
+                                label={CHANNELS[c].name}
+                                highlightRegion={getInputHighlight()}
+                                usePadding={padding}
+                                padMode={padMode}
+                            />
+                        ))}
+                    </div>
+                </>)}
+
+                {showCompare && (
+                    <div className={`w-full p-3 rounded-lg border ${theme === 'dark' ? 'bg-slate-950/50 border-slate-800' : 'bg-white border-slate-300'}`}>
+                        <div className="flex items-center justify-between mb-3 text-xs">
+                            <span className="text-[10px] text-slate-500 uppercase font-bold">
+                                Compare{lastTransform ? `: ${INPUT_TRANSFORMS[lastTransform.key].label}` : ''}
+                            </span>
+                            <select
+                                value={Math.min(compareFilterIdx, featureMaps.length - 1)}
+                                onChange={(e) => setCompareFilterIdx(Number(e.target.value))}
+                                className={`text-xs rounded px-1 py-0.5 border ${theme === 'dark' ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'}`}
+                            >
+                                {featureMaps.map((m, i) => <option key={i} value={i}>{i + 1}. {m.name}</option>)}
+                            </select>
+                        </div>
+                        {comparison ? (<>
+                            <div className="flex gap-3 justify-center">
+                                {[['Before', comparison.before.data, comparison.scale], ['After', comparison.after.data, comparison.scale], [comparison.aligned ? 'After − T(Before)' : 'After − Before', comparison.diff, comparison.diffScale]].map(([label, data, scale]) => (
+                                    <GridVisualizer
+                                        key={label}
+                                        theme={theme}
+                                        data={data}
+                                        dim={comparison.after.dim}
+                                        label={label}
+                                        cellSize={fitCellSize(comparison.after.dim, 100, 7)}
+                                        colorScale={scale}
+                                    />
+                                ))}
+                            </div>
+                            <div className="mt-3 text-xs font-mono text-slate-500">
+                                max |Δ| = <span className={comparison.maxDiff < 1e-4 ? 'text-emerald-400' : 'text-amber-400'}>{comparison.maxDiff.toFixed(4)}</span>
+                                {comparison.aligned && (comparison.maxDiff < 1e-4
+                                    ? ' — the map moved exactly with the input'
+                                    : ' — the map did not just move with the input (kernel orientation, stride or border effects)')}
+                                {comparison.unalignable && ` — the shift is not a multiple of the stride (${stride}), so the maps can't be lined up; showing the raw difference`}
+                            </div>
+                        </>) : (
+                            <span className="text-xs text-slate-500 font-mono">Apply a transform to compare feature maps before and after it</span>
+                        )}
+                    </div>
+                )}
+
+                <DigitPredictor prediction={digitPrediction} learnedShown={learnedShown} onToggleLearned={toggleLearnedFilters} theme={theme} />
             </div>
           </div>
 
           {/* Math Explainer Panel */}
           <div className={`flex-1 p-6 ${theme === 'dark' ? 'bg-slate-900/50' : 'bg-slate-100/50'} overflow-y-auto`}>
-             <h2 className={`font-semibold flex items-center gap-2 mb-4 ${theme === 'dark' ? 'text-slate-100' : 'text-slate-800'}`}>
-                 <Calculator className="w-4 h-4 text-amber-500" /> Convolution Math
-             </h2>
+             <div className="flex items-center justify-between mb-4">
+                 <h2 className={`font-semibold flex items-center gap-2 ${theme === 'dark' ? 'text-slate-100' : 'text-slate-800'}`}>
+                     <Calculator className="w-4 h-4 text-amber-500" /> {stackInfo ? `${LAYER_TYPES[stackInfo.layer.type].label} Math` : poolInfo ? 'Pooling Math' : 'Convolution Math'}
+                 </h2>
+                 {!stackInfo && !poolInfo && !separable && (
+                     <div className="flex bg-slate-800 rounded p-0.5" title="Forward pass or backpropagation">
+                       {[['forward', 'Forward'], ['backward', 'Backward']].map(([pass, label]) => (
+                         <button key={pass} onClick={() => setMathPass(pass)} className={`px-2 py-0.5 rounded text-xs ${mathPass === pass ? 'bg-amber-600 text-white' : 'text-slate-400 hover:text-white'}`}>{label}</button>
+                       ))}
+                     </div>
+                 )}
+             </div>
+
+             {inputField && (
+                <div className={`text-xs p-2 mb-4 rounded border font-mono ${theme === 'dark' ? 'text-slate-400 bg-slate-800 border-slate-700' : 'text-slate-600 bg-slate-200 border-slate-300'}`}>
+                    Receptive field: <span className="font-bold" style={{ color: traceColor }}>{inputField.x1 - inputField.x0 + 1}×{inputField.y1 - inputField.y0 + 1}</span> input pixels
+                    <span className="text-slate-500"> ({Object.keys(receptiveTrace).length - 1} stage{Object.keys(receptiveTrace).length > 2 ? 's' : ''} deep)</span>
+                </div>
+             )}
              
-             {mathInfo ? (
+             {trainIdx >= 0 && lastTrainStep && (() => {
+                const step = lastTrainStep;
+                // The hovered output pixel's share of this step's gradient, when it belongs to the trained filter
+                const px = hoveredPixel?.layer === 'conv' && hoveredPixel.filterIndex === trainIdx && step.dim === featureMaps[trainIdx].dim ? hoveredPixel : null;
+                const i = px ? px.y * step.dim + px.x : -1;
+                return (
+                <div className={`text-xs p-3 mb-4 rounded border font-mono space-y-2 ${theme === 'dark' ? 'text-slate-400 bg-slate-800 border-rose-900/60' : 'text-slate-600 bg-slate-200 border-rose-200'}`}>
+                    <div className="flex justify-between">
+                        <span className="text-rose-400 font-bold">Gradient step {lossHistory.length}</span>
+                        <span>L = {step.loss.toExponential(3)}</span>
+                    </div>
+                    <div className="text-slate-500">w ← w − {step.lr} · ∂L/∂w &nbsp;(∂L/∂w → new w)</div>
+                    <div className="flex gap-2 flex-wrap">
+                        {step.grad.map((slice, c) => (
+                            <div key={c} className="grid gap-px" style={{ gridTemplateColumns: `repeat(${slice.length}, minmax(0, 1fr))`, outline: step.grad.length > 1 ? `1px solid ${CHANNELS[c].color}` : undefined }}>
+                                {slice.flatMap((row, ky) => row.map((g, kx) => (
+                                    <div key={`${ky}-${kx}`} className={`px-1 py-0.5 text-center ${theme === 'dark' ? 'bg-slate-900' : 'bg-white'}`}>
+                                        <div className={g > 0 ? 'text-rose-400' : g < 0 ? 'text-emerald-400' : 'text-slate-500'}>{g.toFixed(3)}</div>
+                                        <div className="text-slate-500 text-[10px]">{step.after[c][ky][kx].toFixed(3)}</div>
+                                    </div>
+                                )))}
+                            </div>
+                        ))}
+                    </div>
+                    <div>b ← {step.bias[0].toFixed(3)} − {step.lr} · <span className={step.gradBias > 0 ? 'text-rose-400' : step.gradBias < 0 ? 'text-emerald-400' : 'text-slate-500'}>{step.gradBias.toFixed(3)}</span> = {step.bias[1].toFixed(3)} &nbsp;<span className="text-slate-500">(∂L/∂b = Σ δ)</span></div>
+                    {px ? (<>
+                        <div className="pt-1 border-t border-slate-700">
+                            δ({px.x},{px.y}) = 2/{step.delta.length} · ({step.out[i].toFixed(3)} − {step.target[i].toFixed(3)}) · {ACTIVATIONS[step.activation].label}′({step.z[i].toFixed(3)}) = <span className="text-rose-400">{step.delta[i].toExponential(2)}</span>
+                        </div>
+                        <div className="text-slate-500">This pixel adds δ × (input under each weight) to ∂L/∂w:</div>
+                        <div className="flex gap-2 flex-wrap">
+                            {inputChannels.map((channel, c) => (
+                                <div key={c} className="grid gap-px" style={{ gridTemplateColumns: `repeat(${step.after[c].length}, minmax(0, 1fr))`, outline: channelCount > 1 ? `1px solid ${CHANNELS[c].color}` : undefined }}>
+                                    {step.after[c].flatMap((row, ky) => row.map((_, kx) => (
+                                        <span key={`${ky}-${kx}`} className={`px-1 py-0.5 text-center ${theme === 'dark' ? 'bg-slate-900' : 'bg-white'}`}>
+                                            {(step.delta[i] * samplePadded(channel, gridSize, px.x * stride - padding + kx * dilation, px.y * stride - padding + ky * dilation, padMode).val).toExponential(1)}
+                                        </span>
+                                    )))}
+                                </div>
+                            ))}
+                        </div>
+                    </>) : (
+                        <div className="text-slate-500">Hover the trained feature map to see one pixel's share of the gradient.</div>
+                    )}
+                </div>
+                );
+             })()}
+
+             {stackInfo ? (
+                <div className="space-y-4 animate-in fade-in duration-300">
+                    <div className={`text-xs p-2 rounded border ${theme === 'dark' ? 'text-slate-400 bg-slate-800 border-slate-700' : 'text-slate-600 bg-slate-200 border-slate-300'}`}>
+                        Analyzing: <span className="text-amber-400 font-bold">Layer {hoveredPixel.stackIndex + 3} ({LAYER_TYPES[stackInfo.layer.type].label})</span>, {stackInfo.channelName} at ({hoveredPixel.x}, {hoveredPixel.y})
+                    </div>
+
+                    <div className="space-y-1">
+                        {stackInfo.lines.map((line, i) => (
+                            <div key={i} className="flex items-center text-xs font-mono">
+                                <span className="text-slate-500 w-4">({i})</span>
+                                <span className="text-slate-500 w-28 truncate">{line.label}</span>
+                                <span className={`w-14 text-right ${theme === 'dark' ? 'text-blue-400' : 'text-blue-700'}`}>{line.value.toFixed(3)}</span>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className={`border-t ${theme === 'dark' ? 'border-slate-700' : 'border-slate-300'} pt-2 mt-2`}>
+                        <div className="flex justify-between text-sm font-bold text-amber-400 mt-1">
+                            <span>
+                                {stackInfo.layer.type === 'conv' && 'Σ channels:'}
+                                {stackInfo.layer.type === 'pool' && `${stackInfo.layer.poolType.toUpperCase()}(Window):`}
+                                {stackInfo.layer.type === 'activation' && `${ACTIVATIONS[stackInfo.layer.fn].label}(in):`}
+                                {stackInfo.layer.type === 'batchnorm' && '(in − mean) / √(var + ε):'}
+                            </span>
+                            <span>{stackInfo.result.toFixed(3)}</span>
+                        </div>
+                    </div>
+                    {stackInfo.layer.type === 'activation' && (
+                        <ActivationPlot fn={stackInfo.layer.fn} alpha={stackInfo.layer.alpha} marker={stackInfo.lines[0].value} width={260} height={120} interactive theme={theme} />
+                    )}
+                </div>
+             ) : poolInfo ? (
+                <div className="space-y-4 animate-in fade-in duration-300">
+                    <div className={`text-xs p-2 rounded border ${theme === 'dark' ? 'text-slate-400 bg-slate-800 border-slate-700' : 'text-slate-600 bg-slate-200 border-slate-300'}`}>
+                        Analyzing: <span className="text-amber-400 font-bold">{poolType.toUpperCase()} Pool</span> of <span className="text-amber-400 font-bold">{poolInfo.filterName}</span> at ({hoveredPixel.x}, {hoveredPixel.y})
+                    </div>
+
+                    <div className="space-y-1">
+                        {poolInfo.cells.map((cell, i) => (
+                            <div key={i} className={`flex items-center text-xs font-mono ${poolInfo.winnerIdx === i ? 'font-bold' : ''}`}>
+                                <span className="text-slate-500 w-4">({i})</span>
+                                <span className="text-slate-500 w-16">map({cell.x},{cell.y})</span>
+                                <span className={`w-12 text-right ${poolInfo.winnerIdx === i ? 'text-amber-400' : (theme === 'dark' ? 'text-blue-400' : 'text-blue-700')}`}>{cell.val.toFixed(2)}</span>
+                                {poolInfo.winnerIdx === i && <span className="pl-2 text-amber-400">← {poolType}</span>}
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className={`border-t ${theme === 'dark' ? 'border-slate-700' : 'border-slate-300'} pt-2 mt-2`}>
+                        {poolType === 'avg' && (
+                            <div className="flex justify-between text-sm">
+                                <span className="text-slate-400">Sum / {poolInfo.cells.length}:</span>
+                                <span className={`font-mono ${theme === 'dark' ? 'text-white' : 'text-slate-800'}`}>{poolInfo.sum.toFixed(2)} / {poolInfo.cells.length}</span>
+                            </div>
+                        )}
+                        <div className="flex justify-between text-sm font-bold text-amber-400 mt-1">
+                            <span>{poolType.toUpperCase()}(Window):</span>
+                            <span>{poolInfo.result.toFixed(2)}</span>
+                        </div>
+                    </div>
+                </div>
+             ) : mathInfo && backprop ? (() => {
+                const { x, y, options: { stride: s, padding: p, dilation: dil, padMode: mode } } = backprop;
+                const d = backprop.delta[backprop.i];
+                const wholeMap = backpropLoss !== 'pixel';
+                return (
+                <div className="space-y-4 animate-in fade-in duration-300">
+                    <div className={`text-xs p-2 rounded border ${theme === 'dark' ? 'text-slate-400 bg-slate-800 border-slate-700' : 'text-slate-600 bg-slate-200 border-slate-300'}`}>
+                        Backprop: <span className="text-amber-400 font-bold">{backprop.filterName}</span> at ({x}, {y})
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <select
+                            value={backpropLoss}
+                            onChange={(e) => setBackpropLoss(e.target.value)}
+                            className={`rounded px-1 py-0.5 border font-mono ${theme === 'dark' ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-300'}`}
+                        >
+                            {Object.entries(BACKPROP_LOSSES).map(([key, loss]) => <option key={key} value={key}>{loss.label}</option>)}
+                        </select>
+                        {!wholeMap && (
+                            <label className="flex items-center gap-1 font-mono text-slate-500">
+                                = <input type="number" step={0.1} value={upstreamGrad} onChange={(e) => setUpstreamGrad(Number(e.target.value) || 0)} className={`w-16 px-1 py-0.5 rounded border bg-transparent ${theme === 'dark' ? 'border-slate-700' : 'border-slate-300'}`} />
+                            </label>
+                        )}
+                    </div>
+
+                    {/* Chain rule at the hovered pixel */}
+                    <div className="space-y-1 text-xs font-mono">
+                        <div className="flex justify-between"><span className="text-slate-400">dL/dout:</span><span>{backprop.upstream[backprop.i].toFixed(3)}</span></div>
+                        <div className="flex justify-between"><span className="text-slate-400">{ACTIVATIONS[backprop.activation].label}′(z = {backprop.z[backprop.i].toFixed(2)}):</span><span>{ACTIVATIONS[backprop.activation].grad(backprop.z[backprop.i], backprop.alpha).toFixed(3)}</span></div>
+                        <div className="flex justify-between font-bold text-amber-400"><span>δ = dL/dz:</span><span>{d.toFixed(3)}</span></div>
+                        <div className="flex justify-between"><span className="text-slate-400">∂L/∂b = Σ δ:</span><span>{backprop.gradBias.toFixed(3)}</span></div>
+                    </div>
+                    <ActivationPlot fn={backprop.activation} alpha={backprop.alpha} marker={backprop.z[backprop.i]} width={260} height={120} interactive theme={theme} />
+
+                    {backprop.channels.map((channel, c) => (
+                    <div key={c} className="space-y-1">
+                        {backprop.channels.length > 1 && <div className="text-[10px] uppercase font-bold" style={{ color: CHANNELS[c].color }}>{CHANNELS[c].name} channel</div>}
+                        <div className="grid grid-cols-[auto_1fr_1fr] gap-x-3 text-[10px] uppercase text-slate-500">
+                            <span>in × w</span><span>∂L/∂w += δ·in</span><span>∂L/∂in += δ·w</span>
+                        </div>
+                        {backprop.slices[c].flatMap((row, ky) => row.map((w, kx) => ({ w, ky, kx }))).slice(0, 9).map(({ w, ky, kx }) => {
+                            const ix = x * s - p + kx * dil;
+                            const iy = y * s - p + ky * dil;
+                            const { val, src } = samplePadded(channel, backprop.inDim, ix, iy, mode);
+                            return (
+                                <div key={`${ky}-${kx}`} className="grid grid-cols-[auto_1fr_1fr] gap-x-3 text-xs font-mono">
+                                    <span><span className={theme === 'dark' ? 'text-blue-400' : 'text-blue-700'}>{val.toFixed(2)}</span> × <span className={theme === 'dark' ? 'text-emerald-400' : 'text-emerald-700'}>{formatWeight(w)}</span></span>
+                                    <span>{(d * val).toFixed(3)}</span>
+                                    <span>
+                                        {src ? (d * w).toFixed(3) : <span className="text-slate-600 italic">pad, dropped</span>}
+                                        {src && (src.x !== ix || src.y !== iy) ? <span className="text-[9px] text-purple-400 pl-1">→({src.x},{src.y})</span> : src ? <span className="text-[9px] text-slate-500 pl-1">({src.x},{src.y})</span> : null}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                        {backprop.slices[c].length ** 2 > 9 && <div className="text-xs text-slate-600 pl-4">...and {backprop.slices[c].length ** 2 - 9} more</div>}
+                    </div>
+                    ))}
+
+                    {wholeMap && (
+                        <div className="space-y-1">
+                            <div className="text-[10px] uppercase font-bold text-slate-500">∂L/∂w summed over every output pixel</div>
+                            <div className="flex gap-2 flex-wrap">
+                                {backprop.gradW.map((slice, c) => (
+                                    <div key={c} className="grid gap-px" style={{ gridTemplateColumns: `repeat(${slice.length}, minmax(0, 1fr))`, outline: backprop.gradW.length > 1 ? `1px solid ${CHANNELS[c].color}` : undefined }}>
+                                        {slice.flat().map((g, k) => (
+                                            <span key={k} className={`px-1 py-0.5 text-center text-xs font-mono ${theme === 'dark' ? 'bg-slate-800' : 'bg-white'}`}>{g.toFixed(2)}</span>
+                                        ))}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Whole-map view: the input gradient is a transposed convolution of the delta map */}
+                    <div className={`border-t pt-3 space-y-2 ${theme === 'dark' ? 'border-slate-700' : 'border-slate-300'}`}>
+                        <div className="flex gap-3 flex-wrap items-start">
+                            <div className="flex flex-col items-center gap-1">
+                                <GridVisualizer theme={theme} data={backprop.delta} dim={backprop.dim} label="δ = ∂L/∂z" cellSize={fitCellSize(backprop.dim, 110, 8)} colorScale={backprop.deltaScale} />
+                            </div>
+                            {backprop.gradIn.map((g, c) => (
+                                <div key={c} className="flex flex-col items-center gap-1">
+                                    <GridVisualizer theme={theme} data={g} dim={backprop.inDim} label={backprop.gradIn.length > 1 ? `∂L/∂${CHANNELS[c].short}` : '∂L/∂input'} cellSize={fitCellSize(backprop.inDim, 110, 8)} colorScale={backprop.gradInScales[c]} />
+                                    <ColorLegend scale={backprop.gradInScales[c]} theme={theme} />
+                                </div>
+                            ))}
+                        </div>
+                        <p className="text-xs text-slate-500 leading-relaxed">
+                            Every output pixel sends δ·w back to each input it read. Summed over the map, that is the δ map{stride > 1 ? ` spread out by the stride (${stride - 1} zero${stride > 2 ? 's' : ''} between values)` : ''} convolved with the kernel rotated 180°{dilation > 1 ? ` (dilated by ${dilation})` : ''} under full padding: a <span className="text-amber-400">transposed convolution</span>{padMode !== 'zeros' ? ` (${PADDING_MODES[padMode].toLowerCase()} padding also folds the border gradient back onto the pixels it copied)` : ''}.
+                        </p>
+                    </div>
+                </div>
+                );
+             })() : mathInfo ? (
                 <div className="space-y-4 animate-in fade-in duration-300">
                     <div className={`text-xs p-2 rounded border ${theme === 'dark' ? 'text-slate-400 bg-slate-800 border-slate-700' : 'text-slate-600 bg-slate-200 border-slate-300'}`}>
                         Analyzing: <span className="text-amber-400 font-bold">{mathInfo.filterName}</span> at ({hoveredPixel.x}, {hoveredPixel.y})
                     </div>
                     
-                    <div className="space-y-1">
-                        {mathInfo.calculations.slice(0, 9).map((calc, i) => (
+                    {mathInfo.channelGroups.map((group, g) => (
+                    <div key={g} className="space-y-1">
+                        {group.channel && (
+                            <div className="text-[10px] uppercase font-bold" style={{ color: group.channel.color }}>{group.channel.name} channel{mathInfo.pointwise ? ' · depthwise step' : ''}</div>
+                        )}
+                        {group.calculations.slice(0, 9).map((calc, i) => (
                             <div key={i} className="flex items-center text-xs font-mono">
                                 <span className="text-slate-500 w-4">({i})</span>
                                 <span className={`w-12 text-right ${calc.isPadding ? 'text-slate-600 italic' : (theme === 'dark' ? 'text-blue-400' : 'text-blue-700')}`}>
-                                    {calc.isPadding ? '0 (pad)' : calc.val.toFixed(2)}
+                                    {calc.isPadding && !calc.src ? '0 (pad)' : calc.val.toFixed(2)}
                                 </span>
+                                {calc.isPadding && calc.src && (
+                                    <span className="text-[9px] text-purple-400 pl-1" title={`${PADDING_MODES[padMode]} padding copied this value from input (${calc.src.x}, ${calc.src.y})`}>
+                                        ←({calc.src.x},{calc.src.y})
+                                    </span>
+                                )}
                                 <span className="px-2 text-slate-600">×</span>
-                                <span className={`w-8 text-right ${theme === 'dark' ? 'text-emerald-400' : 'text-emerald-700'}`}>{calc.weight}</span>
+                                <span className={`w-10 text-right ${theme === 'dark' ? 'text-emerald-400' : 'text-emerald-700'}`}>{formatWeight(calc.weight)}</span>
                                 <span className="px-2 text-slate-600">=</span>
                                 <span className={`${theme === 'dark' ? 'text-white' : 'text-slate-900'}`}>{calc.product.toFixed(2)}</span>
                             </div>
                         ))}
-                        {mathInfo.calculations.length > 9 && <div className="text-xs text-slate-600 pl-4">...and {mathInfo.calculations.length - 9} more</div>}
+                        {group.calculations.length > 9 && <div className="text-xs text-slate-600 pl-4">...and {group.calculations.length - 9} more</div>}
+                        {group.channel && (
+                            <div className="flex justify-between text-xs font-mono pt-1">
+                                <span className="text-slate-400">{group.channel.short} {mathInfo.pointwise ? 'depthwise' : 'subtotal'}:</span>
+                                <span style={{ color: group.channel.color }}>{group.subtotal.toFixed(2)}</span>
+                            </div>
+                        )}
                     </div>
+                    ))}
 
                     <div className={`border-t ${theme === 'dark' ? 'border-slate-700' : 'border-slate-300'} pt-2 mt-2`}>
+                        {mathInfo.pointwise ? (
+                            <div className="flex justify-between gap-2 text-xs font-mono text-slate-500 mb-1">
+                                <span className="shrink-0">Pointwise (1×1):</span>
+                                <span className="text-right">{mathInfo.channelGroups.map((g, c) => `${formatWeight(mathInfo.pointwise[c])}·${g.subtotal.toFixed(2)}`).join(' + ')}</span>
+                            </div>
+                        ) : mathInfo.channelGroups.length > 1 && (
+                            <div className="flex justify-between text-xs font-mono text-slate-500 mb-1">
+                                <span>{mathInfo.channelGroups.map(g => g.channel.short).join(' + ')}:</span>
+                                <span>{mathInfo.channelGroups.map(g => g.subtotal.toFixed(2)).join(' + ')}</span>
+                            </div>
+                        )}
                         <div className="flex justify-between text-sm">
                             <span className="text-slate-400">Sum:</span>
                             <span className={`font-mono ${theme === 'dark' ? 'text-white' : 'text-slate-800'}`}>{mathInfo.total.toFixed(2)}</span>
                         </div>
+                        <div className="flex justify-between text-sm mt-1">
+                            <span className="text-slate-400">Sum + bias:</span>
+                            <span className={`font-mono ${theme === 'dark' ? 'text-white' : 'text-slate-800'}`}>{mathInfo.total.toFixed(2)} {mathInfo.bias < 0 ? '−' : '+'} {Math.abs(mathInfo.bias).toFixed(2)} = {mathInfo.z.toFixed(2)}</span>
+                        </div>
                         <div className="flex justify-between text-sm font-bold text-amber-400 mt-1">
-                            <span>{activation.toUpperCase()}(Sum):</span>
+                            <span>{ACTIVATIONS[mathInfo.activation].label}(Sum + bias):</span>
                             <span>{mathInfo.activated.toFixed(2)}</span>
                         </div>
                     </div>
+                    <ActivationPlot fn={mathInfo.activation} alpha={mathInfo.alpha} marker={mathInfo.z} width={260} height={120} interactive theme={theme} />
                 </div>
              ) : (
                 <div className={`flex flex-col items-center justify-center h-32 text-xs text-center border-2 border-dashed rounded-xl ${theme === 'dark' ? 'text-slate-500 border-slate-800' : 'text-slate-400 border-slate-400'}`}>
                     <MousePointer2 className="w-6 h-6 mb-2 opacity-20" />
-                    Hover over a feature map pixel<br/>to see the math.
+                    Hover over a feature map or pooled pixel<br/>to see the math.
                 </div>
              )}
           </div>
@@ -613,47 +3463,209 @@ export default function DeepLabCNN() {
           
           {/* STEP 1: CONVOLUTION */}
           <section className="mb-10">
-            <div className="flex items-center gap-3 mb-6">
+            <div className="flex items-center gap-3 mb-4">
               <div className="bg-emerald-600/20 p-2 rounded">
                 <Activity className="w-5 h-5 text-emerald-500" />
               </div>
-              <div>
+              <div className="flex-1">
                 <h2 className={`text-lg font-medium ${theme === 'dark' ? 'text-slate-200' : 'text-slate-800'}`}>Convolution Layer</h2>
                 <p className="text-xs text-slate-500 font-mono">
-                  Kernel: {kernelSize}x{kernelSize} | Stride: {stride} | Pad: {padding}
+                  Kernel: {separable ? `${kernelSize}x${kernelSize} depthwise + 1x1x${channelCount} pointwise` : `${kernelSize}x${kernelSize}${channelCount > 1 ? `x${channelCount}` : ''}`}{dilation > 1 ? ` (dilation ${dilation}: spans ${extent}x${extent})` : ''} | Stride: {stride} | Pad: {padding} ({paddingMode}, {padMode}) | Out: {featureMaps[0]?.dim ?? 0}x{featureMaps[0]?.dim ?? 0}
                 </p>
+                {separable && (
+                  <p className="text-xs text-slate-500 font-mono">
+                    Weights: {channelCount}·{kernelSize}² + {featureMaps.length}·{channelCount} = {channelCount * kernelSize * kernelSize + featureMaps.length * channelCount} (standard conv: {featureMaps.length * channelCount * kernelSize * kernelSize})
+                  </p>
+                )}
               </div>
+              {channelCount > 1 && (
+                <button
+                  onClick={toggleSeparable}
+                  className={`text-xs flex items-center gap-1 px-2 py-1 rounded border transition-colors ${separable ? 'bg-cyan-900/60 text-cyan-300 border-cyan-600' : 'bg-cyan-900/20 hover:bg-cyan-900/40 text-cyan-500 border-cyan-900'}`}
+                  title="Split every filter into a shared per-channel (depthwise) step and a 1×1 (pointwise) step"
+                >
+                  <SplitSquareVertical className="w-3 h-3" /> Depthwise-Separable
+                </button>
+              )}
+              <button
+                onClick={() => setShowFrequency(v => !v)}
+                className={`text-xs flex items-center gap-1 px-2 py-1 rounded border transition-colors ${showFrequency ? 'bg-violet-900/60 text-violet-300 border-violet-600' : 'bg-violet-900/20 hover:bg-violet-900/40 text-violet-400 border-violet-900'}`}
+                title="Show the input, a kernel and its feature map as 2D Fourier spectra"
+              >
+                <Waves className="w-3 h-3" /> Frequency
+              </button>
+              <button onClick={exportCalculationTrace} className="text-xs flex items-center gap-1 bg-amber-900/30 hover:bg-amber-900/50 text-amber-400 px-2 py-1 rounded border border-amber-800 transition-colors" title="Download every output pixel's products and sums as CSV">
+                  <Download className="w-3 h-3" /> Calculation Trace
+              </button>
+              <button onClick={addBlankFilter} className="text-xs flex items-center gap-1 bg-emerald-900/30 hover:bg-emerald-900/50 text-emerald-400 px-2 py-1 rounded border border-emerald-800 transition-colors">
+                  <Plus className="w-3 h-3" /> Add Filter
+              </button>
             </div>
 
+            <KernelLibrary
+                kernelSize={kernelSize}
+                saved={savedKernels}
+                onAdd={addFilter}
+                onRemove={removeSavedKernel}
+                theme={theme}
+            />
+
+            {separable && depthMaps && (
+                <DepthwisePanel
+                    kernels={depthwiseKernels}
+                    maps={depthMaps}
+                    scales={depthScales}
+                    showNums={showValues}
+                    onChange={setDepthwiseWeight}
+                    theme={theme}
+                />
+            )}
+
+            {frequency && (
+                <FrequencyPanel
+                    analysis={frequency}
+                    filterNames={featureMaps.map(m => m.name)}
+                    filterIdx={Math.min(frequencyFilterIdx, featureMaps.length - 1)}
+                    onFilterChange={setFrequencyFilterIdx}
+                    channelCount={channelCount}
+                    channel={Math.min(frequencyChannel, channelCount - 1)}
+                    onChannelChange={setFrequencyChannel}
+                    theme={theme}
+                />
+            )}
+
+            <ScanTransport
+                scanIndex={scanIndex}
+                dim={scanDim}
+                isPlaying={isAnimating}
+                speed={scanSpeed}
+                onPlayPause={toggleScan}
+                onStep={stepScan}
+                onSeek={seekScan}
+                onSpeed={setScanSpeed}
+                onStop={stopScan}
+                theme={theme}
+            />
+
+            {trainIdx >= 0 && trainTarget && (
+                <TrainingPanel
+                    filterName={filters[trainKey].name}
+                    weights={kernelSlices(filters[trainKey], channelCount)}
+                    teacherNames={teacherKernels.map(t => t.name)}
+                    source={trainSource}
+                    onSource={changeTrainSource}
+                    teacher={teacherName}
+                    onTeacher={setTeacherName}
+                    target={trainTarget}
+                    targetDim={featureMaps[trainIdx].dim}
+                    targetScale={trainTargetScale}
+                    onPaintTarget={paintTarget}
+                    onClearTarget={() => setDrawnTarget(null)}
+                    learningRate={learningRate}
+                    onLearningRate={setLearningRate}
+                    speed={trainSpeed}
+                    onSpeed={setTrainSpeed}
+                    isTraining={isTraining}
+                    onPlayPause={() => setIsTraining(t => !t)}
+                    onStep={() => { setIsTraining(false); trainStep(); }}
+                    onRandomize={randomizeTrainedFilter}
+                    onClose={stopTraining}
+                    losses={lossHistory}
+                    theme={theme}
+                />
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-12">
-              {Object.values(filters).map((filter, idx) => {
+              {Object.entries(filters).map(([key, filter], idx) => {
                  const map = featureMaps[idx];
+                 const isEditing = editingFilterKey === key;
                  return (
                     <div 
-                        key={idx} 
+                        key={key} 
                         onMouseEnter={() => setSelectedFilterIdx(idx)}
                         className={`border rounded-xl p-4 flex flex-col items-center transition-colors group cursor-crosshair ${theme === 'dark' ? 'bg-slate-900 border-slate-800 hover:border-slate-600' : 'bg-white border-slate-200 hover:border-slate-400'} ${hoveredPixel?.layer === 'conv' && hoveredPixel.filterIndex === idx ? 'border-blue-500 ring-1 ring-blue-500 bg-blue-900/10' : ''}`}
                     >
                         <div className="flex justify-between items-center w-full mb-3">
-                             <h3 className="text-xs font-semibold uppercase tracking-wider text-slate-400">{filter.name}</h3>
-                             {/* Kernel Preview Mini */}
-                             <div className={`border p-1 rounded shadow-sm transition-colors ${theme === 'dark' ? 'bg-slate-800 border-slate-700 group-hover:border-slate-500' : 'bg-slate-200 border-slate-300 group-hover:border-slate-500'}`} title="Kernel Weights">
-                                  <div className={`grid gap-px ${theme === 'dark' ? 'bg-slate-600 border-slate-600' : 'bg-slate-400 border-slate-400'}`} style={{ gridTemplateColumns: `repeat(${filter.kernel.length}, 1fr)` }}>
-                                      {filter.kernel.flat().map((k, i) => (
+                             <div className="flex items-center gap-1">
+                                 <h3 className="text-xs font-semibold uppercase tracking-wider text-slate-400">{filter.name}</h3>
+                                 <ExportMenu grid={{ name: `feature-map-${idx + 1}-${filter.name}`, data: map.data, dim: map.dim, colorScale: featureScales[idx] }} theme={theme} />
+                                 <button
+                                    onClick={() => (trainKey === key ? stopTraining() : startTraining(key))}
+                                    disabled={separable}
+                                    className={`p-1 rounded transition-colors disabled:opacity-30 ${trainKey === key ? 'text-rose-400' : 'text-slate-500 hover:text-rose-400 disabled:hover:text-slate-500'}`}
+                                    title={separable ? 'Training works on standard convolution' : trainKey === key ? 'Stop Training' : 'Train this Filter'}
+                                 >
+                                    <GraduationCap className="w-3 h-3" />
+                                 </button>
+                             </div>
+                             {/* Kernel Preview Mini - click to edit weights */}
+                             {!separable && (
+                             <button
+                                onClick={() => setEditingFilterKey(isEditing ? null : key)}
+                                className={`flex items-center gap-1.5 border p-1 rounded shadow-sm transition-colors cursor-pointer ${theme === 'dark' ? 'bg-slate-800' : 'bg-slate-200'} ${isEditing ? 'border-emerald-500' : (theme === 'dark' ? 'border-slate-700 group-hover:border-slate-500' : 'border-slate-300 group-hover:border-slate-500')}`}
+                                title="Edit Kernel Weights"
+                             >
+                                  <Pencil className={`w-3 h-3 ${isEditing ? 'text-emerald-400' : 'text-slate-500'}`} />
+                                  {/* One slice per input channel: the filter's full depth */}
+                                  {kernelSlices(filter, channelCount).map((slice, c) => (
+                                  <div key={c} className={`grid gap-px ${theme === 'dark' ? 'bg-slate-600 border-slate-600' : 'bg-slate-400 border-slate-400'}`} style={{ gridTemplateColumns: `repeat(${slice.length}, 1fr)`, outline: channelCount > 1 ? `1px solid ${CHANNELS[c].color}` : undefined }}>
+                                      {slice.flat().map((k, i) => (
                                           <div key={i} className={`w-2 h-2 ${k > 0 ? 'bg-white' : k < 0 ? 'bg-black' : (theme === 'dark' ? 'bg-slate-400' : 'bg-slate-600')}`} />
                                       ))}
                                   </div>
-                             </div>
+                                  ))}
+                             </button>
+                             )}
+                        </div>
+                        {separable && (
+                            <div className="flex items-center gap-1 w-full mb-2 text-[10px] text-slate-500 uppercase font-bold" title="Pointwise step: this filter's weight for each depthwise map">
+                                1×1
+                                {pointwiseWeights(filter, channelCount).map((w, c) => (
+                                    <div key={c} className="rounded" style={{ outline: `1px solid ${CHANNELS[c].color}` }}>
+                                        <WeightCell value={w} onCommit={(v) => updateFilter(key, { ...filter, pointwise: pointwiseWeights(filter, channelCount).map((p, i) => (i === c ? v : p)) })} theme={theme} />
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        {/* The neuron's other parameters: z = Σ w·x + bias, then its activation */}
+                        <div className="flex items-start justify-between w-full mb-3 gap-2">
+                            <label className="flex items-center gap-1 text-[10px] text-slate-500 uppercase font-bold" title="Added to the weighted sum before the activation">
+                                Bias
+                                <WeightCell value={filter.bias ?? 0} onCommit={(bias) => updateFilter(key, { ...filter, bias })} theme={theme} />
+                            </label>
+                            <ActivationSelect
+                                fn={filter.activation ?? null}
+                                alpha={filter.alpha ?? 0}
+                                onChange={(act) => setFilterActivation(key, act)}
+                                inheritLabel={`Layer (${ACTIVATIONS[activation].label})`}
+                                theme={theme}
+                            />
                         </div>
+                        {isEditing && !separable && (
+                            <KernelEditor
+                                filter={filter}
+                                channelCount={channelCount}
+                                onChange={(f) => updateFilter(key, f)}
+                                onSave={(name, kernel) => saveKernel(name, kernel)}
+                                onDelete={() => deleteFilter(key)}
+                                canDelete={Object.keys(filters).length > 1}
+                                theme={theme}
+                            />
+                        )}
                         <div className="relative">
                             <GridVisualizer 
+                                theme={theme}
                                 data={map.data} 
                                 dim={map.dim} 
                                 label={`Feature Map ${idx+1}`}
-                                highlightRegion={hoveredPixel?.layer === 'conv' && hoveredPixel.filterIndex === idx ? {x: hoveredPixel.x, y: hoveredPixel.y, w: 1, h: 1, color: 'white'} : null}
-                                onHoverPixel={(px) => setHoveredPixel(px ? { layer: 'conv', ...px, filterIndex: idx } : null)}
+                                highlightRegion={getFeatureMapHighlight(idx)}
+                                onHoverPixel={hoverConvPixel}
+                                hoverIndex={idx}
                                 showNums={showValues} // Use the toggle state
+                                colorScale={featureScales[idx]}
+                                revealCount={scanIndex !== null ? scanIndex + 1 : null}
                             />
+                            <ColorLegend scale={featureScales[idx]} theme={theme} />
                         </div>
                     </div>
                  )
@@ -661,6 +3673,170 @@ export default function DeepLabCNN() {
             </div>
           </section>
 
+          {/* STEP 2: POOLING */}
+          <section className="mb-10">
+            <div className="flex items-center gap-3 mb-6">
+              <div className="bg-amber-600/20 p-2 rounded">
+                <Grid className="w-5 h-5 text-amber-500" />
+              </div>
+              <div className="flex-1">
+                <h2 className={`text-lg font-medium ${theme === 'dark' ? 'text-slate-200' : 'text-slate-800'}`}>Pooling Layer</h2>
+                <p className="text-xs text-slate-500 font-mono">
+                  {poolType.toUpperCase()} | Pool: {poolSize}x{poolSize} | Stride: {poolStride} | Out: {pooledMaps[0]?.dim ?? 0}x{pooledMaps[0]?.dim ?? 0}
+                </p>
+              </div>
+              <div className="flex items-end gap-4 text-sm">
+                <div className="flex flex-col items-center gap-1">
+                    <span className="text-[10px] text-slate-500 uppercase font-bold">Type</span>
+                    <div className="flex bg-slate-800 rounded p-0.5">
+                      {Object.keys(POOLING).map(t => (
+                        <button key={t} onClick={() => setPoolType(t)} className={`px-2 py-0.5 rounded text-xs ${poolType === t ? 'bg-amber-600 text-white' : 'text-slate-400 hover:text-white'}`}>{t}</button>
+                      ))}
+                    </div>
+                </div>
+                <div className="flex flex-col items-center gap-1">
+                    <span className="text-[10px] text-slate-500 uppercase font-bold">Size</span>
+                    <div className="flex bg-slate-800 rounded p-0.5">
+                      {[2, 3].map(s => (
+                        <button key={s} onClick={() => setPoolSize(s)} className={`px-2 py-0.5 rounded text-xs ${poolSize === s ? 'bg-amber-600 text-white' : 'text-slate-400 hover:text-white'}`}>{s}x{s}</button>
+                      ))}
+                    </div>
+                </div>
+                <div className="flex flex-col items-center gap-1">
+                    <span className="text-[10px] text-slate-500 uppercase font-bold">Stride</span>
+                    <div className="flex bg-slate-800 rounded p-0.5">
+                      {[1, 2, 3].map(s => (
+                        <button key={s} onClick={() => setPoolStride(s)} className={`px-2 py-0.5 rounded text-xs ${poolStride === s ? 'bg-amber-600 text-white' : 'text-slate-400 hover:text-white'}`}>{s}</button>
+                      ))}
+                    </div>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-12">
+              {pooledMaps.map((pooled, idx) => (
+                <div
+                    key={idx}
+                    className={`border rounded-xl p-4 flex flex-col items-center transition-colors cursor-crosshair ${theme === 'dark' ? 'bg-slate-900 border-slate-800 hover:border-slate-600' : 'bg-white border-slate-200 hover:border-slate-400'} ${hoveredPixel?.layer === 'pool' && hoveredPixel.filterIndex === idx ? 'border-amber-500 ring-1 ring-amber-500' : ''}`}
+                >
+                    <div className="flex items-center justify-between w-full mb-3">
+                        <h3 className="text-xs font-semibold uppercase tracking-wider text-slate-400">{pooled.name}</h3>
+                        {pooled.dim > 0 && <ExportMenu grid={{ name: `pooled-map-${idx + 1}-${pooled.name}`, data: pooled.data, dim: pooled.dim, colorScale: pooledScales[idx] }} theme={theme} />}
+                    </div>
+                    {pooled.dim > 0 ? (<>
+                        <GridVisualizer
+                            theme={theme}
+                            data={pooled.data}
+                            dim={pooled.dim}
+                            label={`Pooled Map ${idx+1}`}
+                            highlightRegion={getStageHighlight(1, idx)}
+                            onHoverPixel={hoverPoolPixel}
+                            hoverIndex={idx}
+                            showNums={showValues}
+                            colorScale={pooledScales[idx]}
+                        />
+                        <ColorLegend scale={pooledScales[idx]} theme={theme} />
+                    </>) : (
+                        <span className="text-xs text-slate-500 font-mono">Feature map smaller than pool window</span>
+                    )}
+                </div>
+              ))}
+            </div>
+          </section>
+
+          {/* STEP 3+: STACKED LAYERS */}
+          {stackLayers.map((layer, i) => {
+            const maps = stackOutputs[i] || [];
+            const meta = LAYER_TYPES[layer.type];
+            const num = (n) => ({ value: n, label: String(n) });
+            return (
+              <section key={i} className="mb-10">
+                <div className="flex items-center gap-3 mb-6">
+                  <div className="p-2 rounded" style={{ backgroundColor: `${meta.color}33` }}>
+                    <Layers className="w-5 h-5" style={{ color: meta.color }} />
+                  </div>
+                  <div className="flex-1">
+                    <h2 className={`text-lg font-medium ${theme === 'dark' ? 'text-slate-200' : 'text-slate-800'}`}>Layer {i + 3}: {meta.label}</h2>
+                    <p className="text-xs text-slate-500 font-mono">
+                      In: {(i === 0 ? pooledMaps : stackOutputs[i - 1]).length} ch | Out: {maps.length} ch × {maps[0]?.dim ?? 0}x{maps[0]?.dim ?? 0}
+                    </p>
+                  </div>
+                  <div className="flex items-end gap-4 text-sm">
+                    {layer.type === 'conv' && (<>
+                      <OptionGroup label="Kernel" options={[3, 5].map(k => ({ value: k, label: `${k}x${k}` }))} value={layer.kernelSize} onChange={(v) => updateStackLayer(i, { kernelSize: v, padding: Math.min(layer.padding, v - 1) })} activeClass="bg-emerald-600 text-white" />
+                      <OptionGroup label="Stride" options={[1, 2].map(num)} value={layer.stride} onChange={(v) => updateStackLayer(i, { stride: v })} activeClass="bg-emerald-600 text-white" />
+                      <OptionGroup label="Pad" options={[0, Math.floor(layer.kernelSize / 2)].map(num)} value={layer.padding} onChange={(v) => updateStackLayer(i, { padding: v })} activeClass="bg-emerald-600 text-white" />
+                      <OptionGroup label="Filters" options={[2, 4, 8].map(num)} value={layer.outChannels} onChange={(v) => updateStackLayer(i, { outChannels: v })} activeClass="bg-emerald-600 text-white" />
+                    </>)}
+                    {layer.type === 'activation' && (<>
+                      <div className="flex flex-col items-center gap-1">
+                        <span className="text-[10px] text-slate-500 uppercase font-bold">Function</span>
+                        <ActivationSelect fn={layer.fn} alpha={layer.alpha} onChange={(v) => updateStackLayer(i, v)} theme={theme} />
+                      </div>
+                      <ActivationPlot fn={layer.fn} alpha={layer.alpha} theme={theme} />
+                    </>)}
+                    {layer.type === 'pool' && (<>
+                      <OptionGroup label="Type" options={Object.keys(POOLING).map(t => ({ value: t, label: t }))} value={layer.poolType} onChange={(v) => updateStackLayer(i, { poolType: v })} activeClass="bg-amber-600 text-white" />
+                      <OptionGroup label="Size" options={[2, 3].map(k => ({ value: k, label: `${k}x${k}` }))} value={layer.size} onChange={(v) => updateStackLayer(i, { size: v })} activeClass="bg-amber-600 text-white" />
+                      <OptionGroup label="Stride" options={[1, 2, 3].map(num)} value={layer.stride} onChange={(v) => updateStackLayer(i, { stride: v })} activeClass="bg-amber-600 text-white" />
+                    </>)}
+                    <button onClick={() => removeStackLayer(i)} className="text-slate-400 hover:text-red-400 p-1" title="Remove Layer">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {maps.length > 0 && maps[0].dim > 0 ? (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-12">
+                    {maps.map((map, c) => (
+                      <div
+                          key={c}
+                          className={`border rounded-xl p-4 flex flex-col items-center transition-colors cursor-crosshair ${theme === 'dark' ? 'bg-slate-900 border-slate-800 hover:border-slate-600' : 'bg-white border-slate-200 hover:border-slate-400'}`}
+                      >
+                          <div className="flex items-center justify-between w-full mb-3">
+                              <h3 className="text-xs font-semibold uppercase tracking-wider text-slate-400">{map.name}</h3>
+                              <ExportMenu grid={{ name: `layer-${i + 3}-${map.name}`, data: map.data, dim: map.dim, colorScale: stackScales[i]?.[c] }} theme={theme} />
+                          </div>
+                          <GridVisualizer
+                              theme={theme}
+                              data={map.data}
+                              dim={map.dim}
+                              label={`Layer ${i + 3} · ${c + 1}`}
+                              highlightRegion={getStageHighlight(2 + i, c)}
+                              onHoverPixel={hoverStackPixel}
+                              hoverIndex={c}
+                              hoverGroup={i}
+                              showNums={showValues}
+                              colorScale={stackScales[i]?.[c]}
+                          />
+                          {stackScales[i]?.[c] && <ColorLegend scale={stackScales[i][c]} theme={theme} />}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <span className="text-xs text-slate-500 font-mono">Input to this layer is too small - nothing left to compute</span>
+                )}
+              </section>
+            );
+          })}
+
+          {/* Append Layer */}
+          <div className={`flex flex-wrap items-center gap-2 p-4 border-2 border-dashed rounded-xl ${theme === 'dark' ? 'border-slate-800' : 'border-slate-400'}`}>
+            <span className="text-[10px] text-slate-500 uppercase font-bold flex items-center gap-1 mr-1">
+              <Layers className="w-3 h-3" /> Add Layer
+            </span>
+            {Object.entries(LAYER_TYPES).map(([type, meta]) => (
+              <button
+                  key={type}
+                  onClick={() => addStackLayer(type)}
+                  className={`text-xs flex items-center gap-1 px-2 py-1 rounded border transition-colors ${theme === 'dark' ? 'bg-slate-900 border-slate-700 text-slate-300 hover:text-white' : 'bg-white border-slate-300 text-slate-700'}`}
+                  style={{ borderColor: meta.color }}
+              >
+                  <Plus className="w-3 h-3" style={{ color: meta.color }} /> {meta.label}
+              </button>
+            ))}
+          </div>
+
         </div>
       </div>
     </div>
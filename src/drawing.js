@@ -0,0 +1,84 @@
+// --- DRAWING ---
+// The input editor's tools on a flat, channel-major grid (all of channel 0, then channel
+// 1, ...): brush footprints, line and rectangle outlines, stamping and flood fill
+
+// Disc of cells around the cursor. The outer ring paints at half strength, which gives
+// the classic soft cross at radius 1; radius 0 is a single hard pixel
+export const brushFootprint = (radius) => {
+  const cells = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const d = Math.hypot(dx, dy);
+      if (d <= radius) cells.push({ dx, dy, weight: d <= Math.max(0, radius - 1) ? 1 : 0.5 });
+    }
+  }
+  return cells;
+};
+
+// Grid cells on the segment between two cells (Bresenham)
+export const lineCells = (x0, y0, x1, y1) => {
+  const cells = [];
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+  let x = x0;
+  let y = y0;
+  for (;;) {
+    cells.push([x, y]);
+    if (x === x1 && y === y1) return cells;
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x += sx; }
+    if (e2 <= dx) { err += dx; y += sy; }
+  }
+};
+
+export const rectCells = (x0, y0, x1, y1) => [
+  ...lineCells(x0, y0, x1, y0), ...lineCells(x1, y0, x1, y1),
+  ...lineCells(x1, y1, x0, y1), ...lineCells(x0, y1, x0, y0),
+];
+
+// Stamps the brush at every cell, in place. Painting raises values towards `intensity` and
+// erasing lowers them towards 1 - intensity, so going over a cell twice never overshoots
+export const stampCells = (grid, dim, cells, channels, { radius, intensity, erase }) => {
+  const footprint = brushFootprint(radius);
+  const n = dim * dim;
+  cells.forEach(([cx, cy]) => footprint.forEach(({ dx, dy, weight }) => {
+    const x = cx + dx;
+    const y = cy + dy;
+    if (x < 0 || x >= dim || y < 0 || y >= dim) return;
+    channels.forEach(c => {
+      const idx = c * n + y * dim + x;
+      grid[idx] = erase ? Math.min(grid[idx], 1 - intensity * weight) : Math.max(grid[idx], intensity * weight);
+    });
+  }));
+};
+
+// Sets the 4-connected region around (x, y) to `value`, in place. A cell belongs to the
+// region when every painted channel is within `tolerance` of the seed cell
+export const floodFill = (grid, dim, x, y, channels, value, tolerance = 0.05) => {
+  const n = dim * dim;
+  const seedIdx = y * dim + x;
+  const seed = channels.map(c => grid[c * n + seedIdx]);
+  const matches = (i) => channels.every((c, k) => Math.abs(grid[c * n + i] - seed[k]) <= tolerance);
+  const seen = new Uint8Array(n);
+  const stack = [seedIdx];
+  const region = [];
+  seen[seedIdx] = 1;
+  while (stack.length) {
+    const i = stack.pop();
+    region.push(i);
+    const px = i % dim;
+    const py = (i - px) / dim;
+    [[px - 1, py], [px + 1, py], [px, py - 1], [px, py + 1]].forEach(([nx, ny]) => {
+      if (nx < 0 || nx >= dim || ny < 0 || ny >= dim) return;
+      const j = ny * dim + nx;
+      if (!seen[j] && matches(j)) {
+        seen[j] = 1;
+        stack.push(j);
+      }
+    });
+  }
+  region.forEach(i => channels.forEach(c => { grid[c * n + i] = value; }));
+};
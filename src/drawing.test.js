@@ -0,0 +1,17 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { brushFootprint, stampCells } from './drawing.js';
+
+test('radius 0 is a single full-strength pixel', () => {
+  const footprint = brushFootprint(0);
+  assert.equal(footprint.length, 1);
+  assert.equal(footprint[0].weight, 1);
+  const grid = new Float32Array(9);
+  stampCells(grid, 3, [[1, 1]], [0], { radius: 0, intensity: 1, erase: false });
+  assert.deepEqual(Array.from(grid), [0, 0, 0, 0, 1, 0, 0, 0, 0]);
+});
+
+test('radius 1 is a hard centre with a half-strength cross', () => {
+  const weights = Object.fromEntries(brushFootprint(1).map(({ dx, dy, weight }) => [`${dx},${dy}`, weight]));
+  assert.deepEqual(weights, { '0,-1': 0.5, '-1,0': 0.5, '0,0': 1, '1,0': 0.5, '0,1': 0.5 });
+});
@@ -0,0 +1,73 @@
+import { assertOption } from './options.js';
+
+// --- ACTIVATIONS ---
+// Element-wise non-linearities applied after the weighted sum
+
+// Gaussian CDF via erf (Abramowitz & Stegun 7.1.26, error below 1.5e-7), for GELU
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return 0.5 * (1 + (x >= 0 ? erf : -erf));
+};
+const normalPdf = (x) => Math.exp(-(x * x) / 2) / Math.sqrt(2 * Math.PI);
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// fn(x, alpha) is the function and grad(x, alpha) its derivative at the pre-activation
+// value. Parametric ones describe their alpha slider (label and slider ranges are for the
+// UI); PReLU's alpha is also learned in training mode, so it gives dAlpha, the derivative
+// with respect to alpha
+export const ACTIVATIONS = {
+  relu: { label: 'ReLU', fn: (x) => Math.max(0, x), grad: (x) => (x > 0 ? 1 : 0) },
+  leaky_relu: {
+    label: 'Leaky ReLU',
+    alpha: { initial: 0.01, min: 0, max: 0.5, step: 0.01 },
+    fn: (x, a) => (x > 0 ? x : a * x),
+    grad: (x, a) => (x > 0 ? 1 : a),
+  },
+  prelu: {
+    label: 'PReLU',
+    alpha: { initial: 0.25, min: 0, max: 1, step: 0.01 },
+    fn: (x, a) => (x > 0 ? x : a * x),
+    grad: (x, a) => (x > 0 ? 1 : a),
+    dAlpha: (x) => (x > 0 ? 0 : x),
+  },
+  elu: {
+    label: 'ELU',
+    alpha: { initial: 1, min: 0.1, max: 2, step: 0.1 },
+    fn: (x, a) => (x > 0 ? x : a * Math.expm1(x)),
+    grad: (x, a) => (x > 0 ? 1 : a * Math.exp(x)),
+  },
+  gelu: { label: 'GELU', fn: (x) => x * normalCdf(x), grad: (x) => normalCdf(x) + x * normalPdf(x) },
+  silu: {
+    label: 'SiLU / Swish',
+    fn: (x) => x * sigmoid(x),
+    grad: (x) => {
+      const s = sigmoid(x);
+      return s * (1 + x * (1 - s));
+    },
+  },
+  softplus: { label: 'Softplus', fn: (x) => (x > 20 ? x : Math.log1p(Math.exp(x))), grad: sigmoid },
+  sigmoid: {
+    label: 'Sigmoid',
+    fn: sigmoid,
+    grad: (x) => {
+      const s = sigmoid(x);
+      return s * (1 - s);
+    },
+  },
+  tanh: { label: 'Tanh', fn: (x) => Math.tanh(x), grad: (x) => 1 - Math.tanh(x) ** 2 },
+  hardtanh: { label: 'Hard Tanh', fn: (x) => Math.max(-1, Math.min(1, x)), grad: (x) => (x > -1 && x < 1 ? 1 : 0) },
+  step: { label: 'Step', fn: (x) => (x > 0 ? 1 : 0), grad: () => 0 },
+  none: { label: 'No Act.', fn: (x) => x, grad: () => 1 },
+};
+
+// Alpha a freshly picked activation starts with (unused by non-parametric ones)
+export const defaultAlpha = (fn) => ACTIVATIONS[fn].alpha?.initial ?? 0;
+
+// f applied to every value of a map
+export const activate = (data, fn, alpha) => {
+  assertOption(ACTIVATIONS, fn, 'activation');
+  const a = alpha ?? defaultAlpha(fn);
+  return Float32Array.from(data, v => ACTIVATIONS[fn].fn(v, a));
+};
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ACTIVATIONS, defaultAlpha, activate } from './activations.js';
+
+const near = (actual, expected, tol = 1e-6) => assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+
+test('reference values', () => {
+  const at = (fn, x, alpha = defaultAlpha(fn)) => ACTIVATIONS[fn].fn(x, alpha);
+  assert.equal(at('relu', -2), 0);
+  assert.equal(at('relu', 3), 3);
+  near(at('leaky_relu', -2), -0.02);
+  near(at('prelu', -2), -0.5);
+  near(at('elu', -1), Math.exp(-1) - 1);
+  near(at('gelu', 1), 0.8413447, 1e-6);
+  near(at('silu', 1), 0.7310586, 1e-6);
+  near(at('softplus', 0), Math.LN2);
+  near(at('sigmoid', 0), 0.5);
+  near(at('tanh', 0.5), Math.tanh(0.5));
+  assert.equal(at('hardtanh', 2), 1);
+  assert.equal(at('hardtanh', -2), -1);
+  assert.equal(at('step', 0.1), 1);
+  assert.equal(at('none', -7), -7);
+});
+
+test('derivatives match central differences away from kinks', () => {
+  const h = 1e-5;
+  Object.entries(ACTIVATIONS).forEach(([name, act]) => {
+    const alpha = defaultAlpha(name);
+    [-2.3, -0.7, 0.4, 1.9].forEach(x => {
+      const numeric = (act.fn(x + h, alpha) - act.fn(x - h, alpha)) / (2 * h);
+      near(act.grad(x, alpha), numeric, 1e-4);
+      if (act.dAlpha) near(act.dAlpha(x, alpha), (act.fn(x, alpha + h) - act.fn(x, alpha - h)) / (2 * h), 1e-4);
+    });
+  });
+});
+
+test('activate maps a whole grid', () => {
+  assert.deepEqual(Array.from(activate(Float32Array.from([-1, 0, 2]), 'relu')), [0, 0, 2]);
+  assert.deepEqual(Array.from(activate(Float32Array.from([-2, 2]), 'leaky_relu', 0.5)), [-1, 2]);
+  assert.throws(() => activate([1], 'softsign'), /Unknown activation/);
+});
@@ -0,0 +1,193 @@
+import { convForward } from './conv.js';
+import { poolMap } from './pooling.js';
+
+// --- DIGIT CLASSIFIER ---
+// A tiny pretrained CNN over 28×28 digits: conv -> ReLU -> pool -> dense -> softmax. The model
+// is plain JSON: { conv: { filters: [{ kernel, bias }] }, pool: { type, size, stride },
+// dense: { weights: [class][feature], bias: [class] } }, with features flattened map by map
+
+export const DIGIT_SIZE = 28;
+
+// Digits are scaled to fit this box and centred by mass in the 28×28 frame, like MNIST
+const DIGIT_BOX = 20;
+
+// Ink below this counts as background when finding the digit's bounding box
+const INK_THRESHOLD = 0.05;
+
+const grayOf = (grid, dim, channelCount) => {
+  const n = dim * dim;
+  const gray = new Float32Array(n);
+  for (let c = 0; c < channelCount; c++) {
+    for (let i = 0; i < n; i++) gray[i] += grid[c * n + i] / channelCount;
+  }
+  return gray;
+};
+
+// Calls visit(patchIndex, gridIndex, share) for every grid cell under every cell of the
+// outW×outH patch resampled from the w×h box at (x0, y0); share is the fraction of the patch
+// cell that grid cell covers. Area averaging like this works both up and down, and as a
+// linear map its transpose carries gradients back from the patch to the grid
+const forEachShare = ({ x0, y0, w, h, outW, outH }, dim, visit) => {
+  const sx = w / outW;
+  const sy = h / outH;
+  for (let oy = 0; oy < outH; oy++) {
+    const top = y0 + oy * sy;
+    for (let ox = 0; ox < outW; ox++) {
+      const left = x0 + ox * sx;
+      for (let y = Math.floor(top); y < Math.ceil(top + sy - 1e-9); y++) {
+        const wy = Math.min(y + 1, top + sy) - Math.max(y, top);
+        for (let x = Math.floor(left); x < Math.ceil(left + sx - 1e-9); x++) {
+          const wx = Math.min(x + 1, left + sx) - Math.max(x, left);
+          visit(oy * outW + ox, y * dim + x, (wx * wy) / (sx * sy));
+        }
+      }
+    }
+  }
+};
+
+// Where the digit goes: the inked region's box, fitted into 20×20 and placed with its centre
+// of mass at the frame's centre. Null for a blank grid
+const digitFraming = (gray, dim) => {
+  let x0 = dim;
+  let y0 = dim;
+  let x1 = -1;
+  let y1 = -1;
+  for (let y = 0; y < dim; y++) {
+    for (let x = 0; x < dim; x++) {
+      if (gray[y * dim + x] <= INK_THRESHOLD) continue;
+      x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+      y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+    }
+  }
+  if (x1 < 0) return null;
+
+  const w = x1 - x0 + 1;
+  const h = y1 - y0 + 1;
+  const scale = DIGIT_BOX / Math.max(w, h);
+  const box = { x0, y0, w, h, outW: Math.max(1, Math.round(w * scale)), outH: Math.max(1, Math.round(h * scale)) };
+  const patch = new Float32Array(box.outW * box.outH);
+  forEachShare(box, dim, (p, g, share) => { patch[p] += gray[g] * share; });
+
+  let mass = 0;
+  let cx = 0;
+  let cy = 0;
+  patch.forEach((v, p) => {
+    mass += v;
+    cx += v * ((p % box.outW) + 0.5);
+    cy += v * (Math.floor(p / box.outW) + 0.5);
+  });
+  const centre = DIGIT_SIZE / 2;
+  const left = Math.min(DIGIT_SIZE - box.outW, Math.max(0, Math.round(centre - cx / mass)));
+  const top = Math.min(DIGIT_SIZE - box.outH, Math.max(0, Math.round(centre - cy / mass)));
+  return { ...box, patch, frameIndex: (p) => (top + Math.floor(p / box.outW)) * DIGIT_SIZE + left + (p % box.outW) };
+};
+
+const placeDigit = (framing) => {
+  const frame = new Float32Array(DIGIT_SIZE * DIGIT_SIZE);
+  if (framing) framing.patch.forEach((v, p) => { frame[framing.frameIndex(p)] = Math.min(1, Math.max(0, v)); });
+  return frame;
+};
+
+// The classifier's view of an input grid of any size: channels averaged to gray, the inked
+// region cropped, fitted into 20×20 and centred by mass. A blank grid gives a blank frame
+export const toDigitInput = (grid, dim, channelCount = 1) => placeDigit(digitFraming(grayOf(grid, dim, channelCount), dim));
+
+export const softmax = (logits) => {
+  const peak = Math.max(...logits);
+  const exps = logits.map(v => Math.exp(v - peak));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return exps.map(v => v / total);
+};
+
+// Every stage of one forward pass over a 28×28 frame from toDigitInput
+export const classifyDigit = (model, input) => {
+  const { conv, pool, dense } = model;
+  const convMaps = conv.filters.map(({ kernel, bias }) => {
+    const { out, dim } = convForward([input], DIGIT_SIZE, [kernel], { stride: 1, padding: 0, padMode: 'zeros', activation: 'relu', bias });
+    return { data: out, dim };
+  });
+  const pooledMaps = convMaps.map(map => poolMap(map, pool.type, pool.size, pool.stride));
+  const features = pooledMaps.flatMap(map => Array.from(map.data));
+  const logits = dense.weights.map((row, k) => row.reduce((sum, w, i) => sum + w * features[i], dense.bias[k]));
+  return { convMaps, pooledMaps, logits, probs: softmax(logits) };
+};
+
+// --- SALIENCY ---
+// Where on the original grid the score (logit) of class `cls` comes from, one non-negative
+// value per cell. 'gradient' is |∂score/∂pixel|, back through the dense layer, max pooling
+// (to each window's winner), ReLU, the conv and the resampling above. 'gradcam' is a
+// Grad-CAM-style map of where the evidence for the class sits, spread back over the grid
+// cells each frame pixel was resampled from
+export const digitSaliency = (model, grid, dim, channelCount, cls, method = 'gradient') => {
+  const saliency = new Float32Array(dim * dim);
+  const framing = digitFraming(grayOf(grid, dim, channelCount), dim);
+  if (!framing) return saliency;
+
+  const input = placeDigit(framing);
+  const { convMaps, pooledMaps } = classifyDigit(model, input);
+  const row = model.dense.weights[cls];
+  const { size, stride } = model.pool;
+  const frame = new Float32Array(DIGIT_SIZE * DIGIT_SIZE);
+  if (method === 'gradcam') {
+    // The score is linear in the pooled features, so ∂score/∂A · A per pooled cell is exactly
+    // that cell's share of the score. Channel-averaged weights (classic Grad-CAM) wash out on
+    // a single conv layer, hence per-location weights as in LayerCAM. Each positive share
+    // covers its pool window, and conv output (y, x) is centred on frame pixel (y + c, x + c)
+    const c = (model.conv.filters[0].kernel.length - 1) / 2;
+    const { dim: mapDim } = convMaps[0];
+    const { dim: pooledDim } = pooledMaps[0];
+    for (let i = 0; i < pooledDim * pooledDim; i++) {
+      const share = Math.max(0, pooledMaps.reduce((sum, map, f) => sum + row[f * pooledDim * pooledDim + i] * map.data[i], 0));
+      const py = Math.floor(i / pooledDim);
+      const px = i % pooledDim;
+      for (let wy = 0; wy < size; wy++) {
+        for (let wx = 0; wx < size; wx++) {
+          const at = (py * stride + wy + c) * DIGIT_SIZE + px * stride + wx + c;
+          if (py * stride + wy < mapDim && px * stride + wx < mapDim) frame[at] = Math.max(frame[at], share);
+        }
+      }
+    }
+    const cover = new Float32Array(dim * dim);
+    forEachShare(framing, dim, (p, g, share) => {
+      saliency[g] += frame[framing.frameIndex(p)] * share;
+      cover[g] += share;
+    });
+    return saliency.map((v, g) => (cover[g] > 0 ? v / cover[g] : 0));
+  }
+
+  let feature = 0;
+  // ∂score/∂A for each post-ReLU conv map A
+  const dA = convMaps.map((map, f) => {
+    const grad = new Float32Array(map.data.length);
+    const pooled = pooledMaps[f];
+    for (let py = 0; py < pooled.dim; py++) {
+      for (let px = 0; px < pooled.dim; px++) {
+        let at = py * stride * map.dim + px * stride;
+        for (let wy = 0; wy < size; wy++) {
+          for (let wx = 0; wx < size; wx++) {
+            const i = (py * stride + wy) * map.dim + px * stride + wx;
+            if (map.data[i] > map.data[at]) at = i;
+          }
+        }
+        grad[at] += row[feature++];
+      }
+    }
+    return grad;
+  });
+
+  convMaps.forEach((map, f) => {
+    const { kernel } = model.conv.filters[f];
+    const k = kernel.length;
+    for (let y = 0; y < map.dim; y++) {
+      for (let x = 0; x < map.dim; x++) {
+        const d = map.data[y * map.dim + x] > 0 ? dA[f][y * map.dim + x] : 0;
+        if (d === 0) continue;
+        for (let ky = 0; ky < k; ky++) {
+          for (let kx = 0; kx < k; kx++) frame[(y + ky) * DIGIT_SIZE + x + kx] += d * kernel[ky][kx];
+        }
+      }
+    }
+  });
+  forEachShare(framing, dim, (p, g, share) => { saliency[g] += frame[framing.frameIndex(p)] * share; });
+  return saliency.map(v => Math.abs(v) / channelCount);
+};
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { toDigitInput, classifyDigit, softmax, digitSaliency, DIGIT_SIZE } from './classifier.js';
+import { DIGITS, renderStrokes } from '../glyphs.js';
+
+const model = JSON.parse(fs.readFileSync(new URL('../models/digit-cnn.json', import.meta.url)));
+
+test('a blank grid stays blank', () => {
+  const frame = toDigitInput(new Float32Array(14 * 14), 14);
+  assert.equal(frame.length, DIGIT_SIZE * DIGIT_SIZE);
+  assert.ok(frame.every(v => v === 0));
+});
+
+test('ink is fitted to 20 pixels and centred by mass', () => {
+  // A 2-wide, 4-tall bar in the corner of an 8x8 grid becomes a 10x20 bar in the middle
+  const grid = new Float32Array(64);
+  for (let y = 0; y < 4; y++) grid[y * 8] = grid[y * 8 + 1] = 1;
+  const frame = toDigitInput(grid, 8);
+  const rows = Array.from({ length: DIGIT_SIZE }, (_, y) => frame.subarray(y * DIGIT_SIZE, (y + 1) * DIGIT_SIZE));
+  const inked = rows.filter(row => row.some(v => v > 0));
+  assert.equal(inked.length, 20);
+  assert.deepEqual(Array.from(rows[14]).map(v => (v > 0 ? 1 : 0)).join(''), '0'.repeat(9) + '1'.repeat(10) + '0'.repeat(9));
+});
+
+test('colour channels are averaged', () => {
+  const gray = toDigitInput(renderStrokes(DIGITS[3], 14), 14);
+  const red = new Float32Array(3 * 196);
+  red.set(renderStrokes(DIGITS[3], 14));
+  const fromRgb = toDigitInput(red.map(v => v * 3), 14, 3);
+  gray.forEach((v, i) => assert.ok(Math.abs(v - fromRgb[i]) < 1e-5));
+});
+
+test('softmax is a distribution', () => {
+  const probs = softmax([1, 2, 3, 1000]);
+  assert.ok(Math.abs(probs.reduce((a, b) => a + b) - 1) < 1e-12);
+  assert.ok(probs[3] > 0.999);
+});
+
+test('the bundled model reads the gallery digits', () => {
+  [14, 28, 64].forEach(size => {
+    Object.entries(DIGITS).forEach(([digit, strokes]) => {
+      const { probs, convMaps, pooledMaps } = classifyDigit(model, toDigitInput(renderStrokes(strokes, size), size));
+      assert.equal(probs.indexOf(Math.max(...probs)), Number(digit), `digit ${digit} at ${size}x${size}`);
+      assert.equal(convMaps[0].dim, 26);
+      assert.equal(pooledMaps[0].dim, 13);
+    });
+  });
+});
+
+// The first 2,000 digits of the MNIST test set, which the training script never learns from
+test('the bundled model reads handwritten MNIST test digits', () => {
+  const dir = path.join(path.dirname(createRequire(import.meta.url).resolve('mnist-data/package.json')), 'data');
+  const images = fs.readFileSync(path.join(dir, 't10k-images-idx3-ubyte'));
+  const labels = fs.readFileSync(path.join(dir, 't10k-labels-idx1-ubyte'));
+  const pixels = DIGIT_SIZE * DIGIT_SIZE;
+  const count = 2000;
+  let correct = 0;
+  for (let i = 0; i < count; i++) {
+    const grid = Array.from(images.subarray(16 + i * pixels, 16 + (i + 1) * pixels), v => v / 255);
+    const { probs } = classifyDigit(model, toDigitInput(grid, DIGIT_SIZE));
+    if (probs.indexOf(Math.max(...probs)) === labels[8 + i]) correct += 1;
+  }
+  assert.ok(correct / count >= 0.95, `${correct} of ${count} correct`);
+  assert.ok(Math.abs(correct / count - model.testAccuracy) < 0.03, `accuracy ${correct / count} vs reported ${model.testAccuracy}`);
+});
+
+test('gradient saliency matches finite differences of the class score', () => {
+  const grid = renderStrokes(DIGITS[2], 14);
+  const score = (g) => classifyDigit(model, toDigitInput(g, 14)).logits[2];
+  const saliency = digitSaliency(model, grid, 14, 1, 2);
+  const peak = Math.max(...saliency);
+  assert.ok(peak > 0);
+  // Nudge inked cells only, so the crop box stays put
+  const inked = Array.from(grid.keys()).filter(i => grid[i] > 0.3 && grid[i] < 0.9).slice(0, 6);
+  assert.ok(inked.length > 0);
+  inked.forEach(i => {
+    const eps = 1e-2;
+    const up = grid.slice();
+    const down = grid.slice();
+    up[i] += eps;
+    down[i] -= eps;
+    const fd = Math.abs((score(up) - score(down)) / (2 * eps));
+    assert.ok(Math.abs(fd - saliency[i]) < 0.05 * peak + 1e-3, `cell ${i}: ${fd} vs ${saliency[i]}`);
+  });
+});
+
+test('grad-CAM is non-negative and stays on the inked region', () => {
+  // A 14x14 seven in the middle of a blank 28x28 grid
+  const small = renderStrokes(DIGITS[7], 14);
+  const big = new Float32Array(28 * 28);
+  for (let y = 0; y < 14; y++) big.set(small.subarray(y * 14, (y + 1) * 14), (y + 7) * 28 + 7);
+  const cam = digitSaliency(model, big, 28, 1, 7, 'gradcam');
+  assert.ok(cam.every(v => v >= 0));
+  assert.ok(cam.some(v => v > 0));
+  for (let y = 0; y < 28; y++) {
+    for (let x = 0; x < 28; x++) {
+      if (x < 7 || x >= 21 || y < 7 || y >= 21) assert.equal(cam[y * 28 + x], 0);
+    }
+  }
+  assert.ok(digitSaliency(model, new Float32Array(49), 7, 1, 0, 'gradcam').every(v => v === 0));
+});
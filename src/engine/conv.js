@@ -0,0 +1,195 @@
+import { PADDING_PRESETS, PADDING_MODES, samplePadded } from './padding.js';
+import { ACTIVATIONS, defaultAlpha } from './activations.js';
+import { assertOption } from './options.js';
+
+// --- CONVOLUTION ---
+// A conv layer's forward and backward pass on flat, row-major Float32Array grids. A
+// multi-channel input is an array of dim × dim grids, and a filter has one k × k kernel
+// slice per input channel
+
+// Per-input-channel 2D slices of a filter. Grayscale uses `kernel` directly; RGB filters
+// carry `channels`, defaulting to kernel/3 per slice so a gray image gives the same output
+export const kernelSlices = (filter, channelCount) => {
+  if (channelCount === 1) return [filter.kernel];
+  if (filter.channels && filter.channels.length === channelCount) return filter.channels;
+  return Array.from({ length: channelCount }, () => filter.kernel.map(row => row.map(w => w / channelCount)));
+};
+
+// Input cells a kernel spans: dilation d leaves d - 1 skipped cells between taps
+export const kernelExtent = (kSize, dilation = 1) => (kSize - 1) * dilation + 1;
+
+// Output size over a dim × dim input, 0 once the kernel no longer fits
+export const convOutDim = (dim, kSize, stride, padding, dilation = 1) =>
+  Math.max(0, Math.floor((dim + 2 * padding - kernelExtent(kSize, dilation)) / stride) + 1);
+
+// One filter over every input channel (one kernel slice per channel, summed, plus the
+// filter's bias), keeping the pre-activation values z as well as the activated output,
+// since training needs both. Tap (ky, kx) reads input (y·stride - padding + ky·dilation, ...)
+export const convForward = (channels, dim, slices, { stride, padding, padMode, dilation = 1, activation, alpha, bias = 0 }) => {
+  assertOption(PADDING_MODES, padMode, 'padding mode');
+  const kSize = slices[0].length;
+  const outDim = convOutDim(dim, kSize, stride, padding, dilation);
+  const z = new Float32Array(outDim * outDim);
+  const out = new Float32Array(outDim * outDim);
+
+  for (let y = 0; y < outDim; y++) {
+    for (let x = 0; x < outDim; x++) {
+      let sum = 0;
+      channels.forEach((channel, c) => {
+        for (let ky = 0; ky < kSize; ky++) {
+          for (let kx = 0; kx < kSize; kx++) {
+            const iy = (y * stride) - padding + ky * dilation;
+            const ix = (x * stride) - padding + kx * dilation;
+            sum += samplePadded(channel, dim, ix, iy, padMode).val * slices[c][ky][kx];
+          }
+        }
+      });
+      z[y * outDim + x] = sum + bias;
+      out[y * outDim + x] = ACTIVATIONS[activation].fn(sum + bias, alpha);
+    }
+  }
+  return { z, out, dim: outDim };
+};
+
+// Backward pass of one filter, given dL/dout for every output pixel:
+//   delta = dL/dz = dL/dout · f'(z)
+//   dL/dw  = Σ delta · (input under w)
+//   dL/db  = Σ delta
+//   dL/din = Σ delta · w, scattered back onto the input pixels each product read.
+// The last sum is a transposed convolution: the delta map (spread out by the stride)
+// convolved with the 180°-rotated kernel. Gradient reaching a padded cell flows to the
+// pixel it was copied from, or is dropped for zero padding
+export const convBackward = (channels, dim, slices, upstream, options, forward = convForward(channels, dim, slices, options)) => {
+  const { stride, padding, padMode, dilation = 1, activation, alpha } = options;
+  assertOption(PADDING_MODES, padMode, 'padding mode');
+  const { z, dim: outDim } = forward;
+  const kSize = slices[0].length;
+  const { grad, dAlpha } = ACTIVATIONS[activation];
+  const delta = new Float32Array(z.length);
+  let gradAlpha = 0;
+  let gradBias = 0;
+  for (let i = 0; i < z.length; i++) {
+    delta[i] = upstream[i] * grad(z[i], alpha);
+    gradBias += delta[i];
+    if (dAlpha) gradAlpha += upstream[i] * dAlpha(z[i], alpha);
+  }
+
+  const gradW = slices.map(() => Array.from({ length: kSize }, () => Array(kSize).fill(0)));
+  const gradIn = channels.map(() => new Float32Array(dim * dim));
+  for (let y = 0; y < outDim; y++) {
+    for (let x = 0; x < outDim; x++) {
+      const d = delta[y * outDim + x];
+      if (d === 0) continue;
+      channels.forEach((channel, c) => {
+        for (let ky = 0; ky < kSize; ky++) {
+          for (let kx = 0; kx < kSize; kx++) {
+            const { val, src } = samplePadded(channel, dim, x * stride - padding + kx * dilation, y * stride - padding + ky * dilation, padMode);
+            gradW[c][ky][kx] += d * val;
+            if (src) gradIn[c][src.y * dim + src.x] += d * slices[c][ky][kx];
+          }
+        }
+      });
+    }
+  }
+  return { ...forward, delta, gradW, gradBias, gradIn, gradAlpha };
+};
+
+// A filter's activation: its own pick, or the layer-wide one when it has none
+export const filterActivation = (filter, { activation, alpha }) => (filter.activation
+  ? { activation: filter.activation, alpha: filter.alpha ?? defaultAlpha(filter.activation) }
+  : { activation, alpha });
+
+// Layer-wide conv options specialised to one filter (its bias and activation)
+export const filterOptions = (filter, options) => ({ ...options, ...filterActivation(filter, options), bias: filter.bias ?? 0 });
+
+// --- DEPTHWISE-SEPARABLE ---
+// A standard conv filter mixes space and channels at once (C·k·k weights per filter). The
+// separable version splits that in two steps: a depthwise step filters each input channel
+// with its own k×k kernel, shared by every filter, and a pointwise (1×1) step gives each
+// filter C weights to mix the depthwise maps. Filters keep their bias and activation
+
+// Depthwise step: channel c through kernels[c] alone, nothing summed across channels
+export const depthwiseMaps = (channels, dim, kernels, options) => channels.map((channel, c) => {
+  const { z, dim: outDim } = convForward([channel], dim, [kernels[c]], { ...options, activation: 'none', bias: 0 });
+  return { data: z, dim: outDim };
+});
+
+// A filter's 1×1 weights, one per channel. Unset, it averages the depthwise maps
+export const pointwiseWeights = (filter, channelCount) => filter.pointwise?.length === channelCount
+  ? filter.pointwise
+  : Array(channelCount).fill(1 / channelCount);
+
+// Pointwise step for one filter: z = Σ_c w_c · depthwise_c + bias, then the activation
+export const pointwiseForward = (depth, weights, { activation, alpha, bias = 0 }) => {
+  const z = new Float32Array(depth[0].data.length);
+  const out = new Float32Array(z.length);
+  for (let i = 0; i < z.length; i++) {
+    let sum = bias;
+    depth.forEach((map, c) => { sum += weights[c] * map.data[i]; });
+    z[i] = sum;
+    out[i] = ACTIVATIONS[activation].fn(sum, alpha);
+  }
+  return { z, out, dim: depth[0].dim };
+};
+
+// First conv layer: one activated feature map per filter. options.depthwise (one kernel
+// per input channel) switches to the depthwise-separable form; a caller that already has
+// the depthwise maps passes them as `depth` so that step isn't run twice
+export const convolveFilters = (channels, dim, filters, options, depthMaps = null) => {
+  const depth = options.depthwise && (depthMaps ?? depthwiseMaps(channels, dim, options.depthwise, options));
+  return Object.values(filters).map(filter => {
+    const { out, dim: outDim } = depth
+      ? pointwiseForward(depth, pointwiseWeights(filter, channels.length), filterOptions(filter, options))
+      : convForward(channels, dim, kernelSlices(filter, channels.length), filterOptions(filter, options));
+    return { name: filter.name, data: out, dim: outDim };
+  });
+};
+
+// Every product behind output pixel (x, y), grouped per input channel with a subtotal each.
+// `pointwise` (the separable form, where slices are the depthwise kernels) weights each
+// channel's subtotal; otherwise the subtotals are just summed
+export const convPixelMath = (channels, dim, slices, x, y, options, pointwise = null) => {
+  const { stride, padding, padMode, dilation = 1, activation, alpha, bias = 0 } = options;
+  assertOption(PADDING_MODES, padMode, 'padding mode');
+  const kSize = slices[0].length;
+  let total = 0;
+  const channelGroups = channels.map((channel, c) => {
+    const calculations = [];
+    let subtotal = 0;
+    for (let ky = 0; ky < kSize; ky++) {
+      for (let kx = 0; kx < kSize; kx++) {
+        const iy = (y * stride) - padding + ky * dilation;
+        const ix = (x * stride) - padding + kx * dilation;
+        const isPadding = iy < 0 || iy >= dim || ix < 0 || ix >= dim;
+        const { val, src } = samplePadded(channel, dim, ix, iy, padMode);
+        const weight = slices[c][ky][kx];
+        const product = val * weight;
+        subtotal += product;
+        calculations.push({ val, weight, product, isPadding, src, ky, kx, iy, ix });
+      }
+    }
+    total += pointwise ? pointwise[c] * subtotal : subtotal;
+    return { calculations, subtotal };
+  });
+  const z = total + bias;
+  return { channelGroups, total, bias, z, activation, alpha, activated: ACTIVATIONS[activation].fn(z, alpha) };
+};
+
+// Headless conv2d: `input` is one grid or an array of channel grids, `kernel` one k × k
+// grid (single-channel input) or one grid per channel. padding is a number or a preset name
+// ('valid', 'same', 'full'). Returns the activated map, the pre-activation map z and the
+// output size
+export const conv2d = (input, dim, kernel, options = {}) => {
+  const channels = Array.isArray(input) ? input : [input];
+  const slices = Array.isArray(kernel[0][0]) ? kernel : [kernel];
+  if (slices.length !== channels.length) {
+    throw new Error(`conv2d: ${channels.length} input channel(s) need as many kernel slices, got ${slices.length}`);
+  }
+  const { stride = 1, padding = 0, padMode = 'zeros', dilation = 1, activation = 'none', bias = 0 } = options;
+  assertOption(ACTIVATIONS, activation, 'activation');
+  if (typeof padding === 'string') assertOption(PADDING_PRESETS, padding, 'padding preset', 'a number or one of');
+  const amount = typeof padding === 'string' ? PADDING_PRESETS[padding].amount(kernelExtent(slices[0].length, dilation)) : padding;
+  const alpha = options.alpha ?? defaultAlpha(activation);
+  const { z, out, dim: outDim } = convForward(channels, dim, slices, { stride, padding: amount, padMode, dilation, activation, alpha, bias });
+  return { data: out, z, dim: outDim };
+};
@@ -0,0 +1,166 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { conv2d, convForward, convBackward, convPixelMath, convolveFilters, kernelSlices, kernelExtent } from './conv.js';
+
+// Float32 results against hand-computed numbers
+const close = (actual, expected, tol = 1e-5) => {
+  assert.equal(actual.length, expected.length, `length ${actual.length} != ${expected.length}`);
+  expected.forEach((e, i) => assert.ok(Math.abs(actual[i] - e) <= tol, `[${i}]: ${actual[i]} != ${e}`));
+};
+
+// 1 2 3 / 4 5 6 / 7 8 9
+const ONE_TO_NINE = Float32Array.from({ length: 9 }, (_, i) => i + 1);
+// value = 5·y + x on a 5×5 grid
+const RAMP_5 = Float32Array.from({ length: 25 }, (_, i) => i);
+const ONES_3 = [[1, 1, 1], [1, 1, 1], [1, 1, 1]];
+
+test('1x1 kernel scales every pixel', () => {
+  const { data, dim } = conv2d(ONE_TO_NINE, 3, [[2]]);
+  assert.equal(dim, 3);
+  close(data, [2, 4, 6, 8, 10, 12, 14, 16, 18]);
+});
+
+test('2x2 kernel, valid padding, stride 1', () => {
+  // (0,0): 1·1 + 2·2 + 4·3 + 5·4 = 37, and so on
+  const { data, dim } = conv2d(ONE_TO_NINE, 3, [[1, 2], [3, 4]]);
+  assert.equal(dim, 2);
+  close(data, [37, 47, 67, 77]);
+});
+
+test('3x3 box kernel with same zero padding gives neighbourhood sums', () => {
+  const { data, dim } = conv2d(ONE_TO_NINE, 3, ONES_3, { padding: 'same' });
+  assert.equal(dim, 3);
+  close(data, [12, 21, 16, 27, 45, 33, 24, 39, 28]);
+});
+
+test('stride 2 skips every other window', () => {
+  // Window sums are 9 × the centre value: centres 6, 8, 16, 18
+  const { data, dim } = conv2d(RAMP_5, 5, ONES_3, { stride: 2 });
+  assert.equal(dim, 2);
+  close(data, [54, 72, 144, 162]);
+});
+
+test('5x5 kernel picks a single tap', () => {
+  const pick = Array.from({ length: 5 }, () => Array(5).fill(0));
+  pick[0][4] = 1;
+  const valid = conv2d(RAMP_5, 5, pick);
+  assert.equal(valid.dim, 1);
+  close(valid.data, [4]);
+  // With same padding (2), out(y, x) = in(y - 2, x + 2), zero outside
+  const same = conv2d(RAMP_5, 5, pick, { padding: 'same' });
+  assert.equal(same.dim, 5);
+  close(same.data.subarray(10, 15), [2, 3, 4, 0, 0]);
+  close(same.data.subarray(0, 5), [0, 0, 0, 0, 0]);
+});
+
+test('output size is floor((n + 2p - k) / s) + 1', () => {
+  const input = new Float32Array(7 * 7);
+  const cases = [
+    // k, stride, padding, expected
+    [3, 1, 0, 5], [3, 1, 1, 7], [3, 1, 'full', 9], [3, 2, 0, 3], [3, 2, 1, 4],
+    [5, 1, 0, 3], [5, 1, 'same', 7], [5, 2, 2, 4], [5, 3, 0, 1], [5, 4, 'full', 3],
+  ];
+  cases.forEach(([k, stride, padding, expected]) => {
+    const kernel = Array.from({ length: k }, () => Array(k).fill(0));
+    assert.equal(conv2d(input, 7, kernel, { stride, padding }).dim, expected, `k=${k} s=${stride} p=${padding}`);
+  });
+});
+
+test('padding modes fill the border differently', () => {
+  // This kernel reads each pixel's left neighbour, so column 0 reads the padding
+  const left = [[0, 0, 0], [1, 0, 0], [0, 0, 0]];
+  const firstColumn = (padMode) => {
+    const { data } = conv2d(ONE_TO_NINE, 3, left, { padding: 1, padMode });
+    return [data[0], data[3], data[6]];
+  };
+  close(firstColumn('zeros'), [0, 0, 0]);
+  close(firstColumn('replicate'), [1, 4, 7]);
+  close(firstColumn('reflect'), [2, 5, 8]);
+  close(firstColumn('circular'), [3, 6, 9]);
+});
+
+test('dilation spreads the taps apart', () => {
+  assert.equal(kernelExtent(3, 2), 5);
+  // Taps at rows and columns 0, 2, 4: 3·(0 + 2 + 4) + 15·(0 + 2 + 4) = 108
+  const { data, dim } = conv2d(RAMP_5, 5, ONES_3, { dilation: 2 });
+  assert.equal(dim, 1);
+  close(data, [108]);
+  assert.equal(conv2d(RAMP_5, 5, ONES_3, { dilation: 2, padding: 'same' }).dim, 5);
+});
+
+test('bias is added before the activation', () => {
+  const { data, z } = conv2d(ONE_TO_NINE, 3, [[1, 2], [3, 4]], { bias: -40, activation: 'relu' });
+  close(z, [-3, 7, 27, 37]);
+  close(data, [0, 7, 27, 37]);
+});
+
+test('multi-channel input sums one slice per channel', () => {
+  const red = Float32Array.from([1, 2, 3, 4]);
+  const green = Float32Array.from([10, 20, 30, 40]);
+  // 1·1 + 4·1 + 10·0.5 + 40·(-0.5) = -10
+  const { data } = conv2d([red, green], 2, [[[1, 0], [0, 1]], [[0.5, 0], [0, -0.5]]]);
+  close(data, [-10]);
+});
+
+test('conv2d rejects mismatched kernels and unknown options', () => {
+  assert.throws(() => conv2d([ONE_TO_NINE, ONE_TO_NINE], 3, ONES_3), /kernel slices/);
+  assert.throws(() => conv2d(ONE_TO_NINE, 3, ONES_3, { padding: 'half' }), /padding preset/);
+  assert.throws(() => conv2d(ONE_TO_NINE, 3, ONES_3, { activation: 'swish2' }), /Unknown activation/);
+});
+
+test('every conv entry point rejects an unknown padding mode', () => {
+  const options = { stride: 1, padding: 1, padMode: 'mirror', activation: 'none' };
+  assert.throws(() => conv2d(ONE_TO_NINE, 3, ONES_3, { padMode: 'mirror' }), /Unknown padding mode "mirror"/);
+  assert.throws(() => convForward([ONE_TO_NINE], 3, [ONES_3], options), /Unknown padding mode/);
+  assert.throws(() => convBackward([ONE_TO_NINE], 3, [ONES_3], new Float32Array(9), options, { z: new Float32Array(9), out: new Float32Array(9), dim: 3 }), /Unknown padding mode/);
+  assert.throws(() => convPixelMath([ONE_TO_NINE], 3, [ONES_3], 0, 0, options), /Unknown padding mode/);
+});
+
+test('gray filters use the kernel as is; RGB filters default to kernel / 3 per channel', () => {
+  const filter = { name: 'f', kernel: [[3]] };
+  assert.deepEqual(kernelSlices(filter, 1), [[[3]]]);
+  assert.deepEqual(kernelSlices(filter, 3), [[[1]], [[1]], [[1]]]);
+});
+
+test('per-pixel math lists every product and agrees with the map', () => {
+  const options = { stride: 1, padding: 1, padMode: 'zeros', activation: 'relu', alpha: 0, bias: 1 };
+  const map = convForward([ONE_TO_NINE], 3, [ONES_3], options);
+  const math = convPixelMath([ONE_TO_NINE], 3, [ONES_3], 0, 0, options);
+  const { calculations, subtotal } = math.channelGroups[0];
+  assert.equal(calculations.length, 9);
+  assert.equal(calculations.filter(c => c.isPadding).length, 5);
+  assert.equal(subtotal, 12);
+  assert.equal(math.z, 13);
+  close([math.activated], [map.out[0]]);
+});
+
+test('backward pass of a single window', () => {
+  // One output: out = Σ w·in, so dL/dw = in, dL/din = w and dL/db = 1 for upstream 1
+  const input = Float32Array.from([1, 2, 3, 4]);
+  const kernel = [[1, 2], [3, 4]];
+  const { out, gradW, gradIn, gradBias } = convBackward([input], 2, [kernel], Float32Array.from([1]), { stride: 1, padding: 0, padMode: 'zeros', activation: 'none' });
+  close(out, [30]);
+  assert.deepEqual(gradW, [[[1, 2], [3, 4]]]);
+  close(gradIn[0], [1, 2, 3, 4]);
+  assert.equal(gradBias, 1);
+});
+
+test('depthwise-separable equals a standard conv with slices scaled by the 1x1 weights', () => {
+  const channels = [ONE_TO_NINE, ONE_TO_NINE.map(v => 10 - v), ONE_TO_NINE.map(v => v % 3)];
+  const depthwise = [ONES_3, [[0, 1, 0], [1, -4, 1], [0, 1, 0]], [[1, 0, -1], [2, 0, -2], [1, 0, -1]]];
+  const pointwise = [0.5, -1, 2];
+  const options = { stride: 1, padding: 1, padMode: 'reflect', activation: 'none', alpha: 0 };
+  const [separable] = convolveFilters(channels, 3, { f: { name: 'f', kernel: ONES_3, pointwise, bias: 0.25 } }, { ...options, depthwise });
+  const scaled = depthwise.map((k, c) => k.map(row => row.map(w => w * pointwise[c])));
+  const [standard] = convolveFilters(channels, 3, { f: { name: 'f', kernel: ONES_3, channels: scaled, bias: 0.25 } }, options);
+  close(separable.data, Array.from(standard.data), 1e-4);
+});
+
+test('separable filters reuse depthwise maps passed in', () => {
+  const channels = [ONE_TO_NINE, ONE_TO_NINE];
+  const options = { stride: 1, padding: 0, padMode: 'zeros', activation: 'none', alpha: 0, depthwise: [ONES_3, ONES_3] };
+  // Made-up depthwise maps, so the output can only come from them
+  const depth = [{ data: Float32Array.from([2]), dim: 1 }, { data: Float32Array.from([5]), dim: 1 }];
+  const [map] = convolveFilters(channels, 3, { f: { name: 'f', kernel: ONES_3, pointwise: [1, 10] } }, options, depth);
+  close(map.data, [52]);
+});
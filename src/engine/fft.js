@@ -0,0 +1,110 @@
+// --- FREQUENCY DOMAIN ---
+// 2D discrete Fourier transform of square grids. The grid sizes here (7, 14, 28, 64) aren't
+// all powers of two, so this is a plain separable DFT rather than a radix-2 FFT: O(n³) for
+// an n×n grid, which is instant at these sizes
+
+// One pass along rows (step 1, lines dim apart) or columns (step dim, lines 1 apart)
+const dftPass = (re, im, dim, step, lineStep, cos, sin) => {
+  const outRe = new Float64Array(dim * dim);
+  const outIm = new Float64Array(dim * dim);
+  for (let line = 0; line < dim; line++) {
+    const base = line * lineStep;
+    for (let k = 0; k < dim; k++) {
+      let sr = 0;
+      let si = 0;
+      for (let t = 0; t < dim; t++) {
+        const i = base + t * step;
+        const w = (k * t) % dim;
+        sr += re[i] * cos[w] - im[i] * sin[w];
+        si += re[i] * sin[w] + im[i] * cos[w];
+      }
+      outRe[base + k * step] = sr;
+      outIm[base + k * step] = si;
+    }
+  }
+  return [outRe, outIm];
+};
+
+const transform = (re, im, dim, inverse) => {
+  const sign = inverse ? 1 : -1;
+  const cos = Float64Array.from({ length: dim }, (_, k) => Math.cos((2 * Math.PI * k) / dim));
+  const sin = Float64Array.from({ length: dim }, (_, k) => sign * Math.sin((2 * Math.PI * k) / dim));
+  const [rowRe, rowIm] = dftPass(re, im, dim, 1, dim, cos, sin);
+  const [outRe, outIm] = dftPass(rowRe, rowIm, dim, dim, 1, cos, sin);
+  if (inverse) {
+    const n = dim * dim;
+    for (let i = 0; i < n; i++) {
+      outRe[i] /= n;
+      outIm[i] /= n;
+    }
+  }
+  return { re: outRe, im: outIm };
+};
+
+// Spectrum { re, im } of a real dim×dim grid. Index (v, u) holds frequency (v, u) cycles per grid
+export const dft2d = (data, dim) => transform(data, new Float64Array(dim * dim), dim, false);
+
+// Back to the spatial domain; the imaginary part of a real signal's round trip is rounding noise
+export const idft2d = ({ re, im }, dim) => {
+  const { re: out } = transform(re, im, dim, true);
+  return Float32Array.from(out);
+};
+
+// A kernel laid into a dim×dim grid of zeros with its centre tap at (0, 0), wrapping around,
+// so its spectrum's phase reflects the kernel's shape rather than its position. Dilated taps
+// land `dilation` cells apart
+export const embedKernel = (kernel, dim, dilation = 1) => {
+  const grid = new Float32Array(dim * dim);
+  const centre = ((kernel.length - 1) * dilation) / 2;
+  const wrap = (i) => ((i % dim) + dim) % dim;
+  kernel.forEach((row, ky) => row.forEach((w, kx) => {
+    grid[wrap(ky * dilation - centre) * dim + wrap(kx * dilation - centre)] += w;
+  }));
+  return grid;
+};
+
+// The layer computes a cross-correlation, not a convolution, so the kernel's spectrum enters
+// conjugated: DFT(input ⋆ kernel) = DFT(input) · conj(DFT(kernel)), with circular borders
+export const correlateSpectra = (input, kernel) => ({
+  re: input.re.map((r, i) => r * kernel.re[i] + input.im[i] * kernel.im[i]),
+  im: input.im.map((m, i) => m * kernel.re[i] - input.re[i] * kernel.im[i]),
+});
+
+// Magnitude and phase, with frequency (0, 0) moved to the centre of the grid. Phase is zeroed
+// where the magnitude is negligible, since the angle of a rounding error is just noise
+export const spectrumView = ({ re, im }, dim) => {
+  const magnitude = new Float32Array(dim * dim);
+  const phase = new Float32Array(dim * dim);
+  const shift = Math.floor(dim / 2);
+  let peak = 0;
+  for (let i = 0; i < re.length; i++) peak = Math.max(peak, Math.hypot(re[i], im[i]));
+  for (let v = 0; v < dim; v++) {
+    for (let u = 0; u < dim; u++) {
+      const i = v * dim + u;
+      const o = ((v + shift) % dim) * dim + ((u + shift) % dim);
+      magnitude[o] = Math.hypot(re[i], im[i]);
+      phase[o] = magnitude[o] > peak * 1e-6 ? Math.atan2(im[i], re[i]) : 0;
+    }
+  }
+  return { magnitude, phase };
+};
+
+// Mean gain at low frequencies (within a quarter of Nyquist) and at high ones (beyond three
+// quarters), from a spectrum's magnitude as returned by spectrumView
+export const bandGains = (magnitude, dim) => {
+  const shift = Math.floor(dim / 2);
+  const nyquist = dim / 2;
+  const low = [0, 0];
+  const high = [0, 0];
+  for (let v = 0; v < dim; v++) {
+    for (let u = 0; u < dim; u++) {
+      const r = Math.hypot(v - shift, u - shift) / nyquist;
+      const band = r <= 0.25 ? low : r >= 0.75 ? high : null;
+      if (band) {
+        band[0] += magnitude[v * dim + u];
+        band[1] += 1;
+      }
+    }
+  }
+  return { low: low[0] / low[1], high: high[1] ? high[0] / high[1] : 0 };
+};
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { dft2d, idft2d, embedKernel, correlateSpectra, spectrumView, bandGains } from './fft.js';
+import { conv2d } from './conv.js';
+import { generateFilters } from './kernels.js';
+
+const closeTo = (actual, expected, eps = 1e-4) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < eps, `index ${i}: ${v} vs ${expected[i]}`));
+};
+
+const GRID = Float32Array.from({ length: 49 }, (_, i) => Math.sin(i * 1.3) + (i % 5) / 4);
+
+test('an impulse at the origin has a flat spectrum', () => {
+  const impulse = new Float32Array(16);
+  impulse[0] = 1;
+  const { re, im } = dft2d(impulse, 4);
+  closeTo(Array.from(re), Array(16).fill(1));
+  closeTo(Array.from(im), Array(16).fill(0));
+});
+
+test('the inverse transform recovers the grid', () => {
+  closeTo(Array.from(idft2d(dft2d(GRID, 7), 7)), Array.from(GRID));
+});
+
+test('pointwise products reproduce circular same-padded correlation', () => {
+  const spectrum = dft2d(GRID, 7);
+  [1, 2].forEach(dilation => {
+    Object.values(generateFilters(3)).forEach(({ kernel }) => {
+      const product = idft2d(correlateSpectra(spectrum, dft2d(embedKernel(kernel, 7, dilation), 7)), 7);
+      const spatial = conv2d(GRID, 7, kernel, { padding: 'same', padMode: 'circular', dilation });
+      closeTo(Array.from(product), Array.from(spatial.data));
+    });
+  });
+});
+
+test('the spectrum view centres frequency zero', () => {
+  const flat = new Float32Array(16).fill(0.5);
+  const { magnitude, phase } = spectrumView(dft2d(flat, 4), 4);
+  assert.equal(magnitude[2 * 4 + 2], 8);
+  assert.ok(Math.abs(magnitude.reduce((a, b) => a + b) - 8) < 1e-6);
+  assert.ok(phase.every(p => p === 0));
+});
+
+test('blur passes low frequencies, sharpen boosts high ones', () => {
+  const gains = (kernel) => bandGains(spectrumView(dft2d(embedKernel(kernel, 28), 28), 28).magnitude, 28);
+  const blur = gains([[1, 2, 1], [2, 4, 2], [1, 2, 1]].map(row => row.map(w => w / 16)));
+  const sharpen = gains(generateFilters(3).sharpen.kernel);
+  assert.ok(blur.low > 0.8 && blur.high < 0.2);
+  assert.ok(sharpen.high > 2 * sharpen.low);
+});
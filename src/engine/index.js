@@ -0,0 +1,16 @@
+// --- ENGINE ---
+// The numbers behind every view, free of React and the DOM, so the same code runs in the
+// browser, in Node (tests, auto-graders) and in notebooks
+
+export { PADDING_PRESETS, PADDING_MODES, resolvePadIndex, samplePadded, pad2d } from './padding.js';
+export { ACTIVATIONS, defaultAlpha, activate } from './activations.js';
+export {
+  kernelSlices, kernelExtent, convOutDim, convForward, convBackward, filterActivation, filterOptions,
+  depthwiseMaps, pointwiseWeights, pointwiseForward, convolveFilters, convPixelMath, conv2d,
+} from './conv.js';
+export { POOLING, poolOutDim, poolMap, pool2d } from './pooling.js';
+export { generateFilters, generateLibraryKernels } from './kernels.js';
+export { stackConvKernels, runStackLayer, blankStackLayer } from './stack.js';
+export { runPipeline, blankPipeline, pipelineBuffers } from './pipeline.js';
+export { dft2d, idft2d, embedKernel, correlateSpectra, spectrumView, bandGains } from './fft.js';
+export { DIGIT_SIZE, toDigitInput, softmax, classifyDigit, digitSaliency } from './classifier.js';
@@ -0,0 +1,99 @@
+// --- KERNELS ---
+// Built-in kernel banks, generated for a given (odd) kernel size
+
+// Helper to generate filters based on size
+export const generateFilters = (kSize) => {
+  const center = Math.floor(kSize / 2);
+  
+  // 1. Horizontal Edge
+  const horiz = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
+  for(let y=0; y<kSize; y++) {
+    for(let x=0; x<kSize; x++) {
+      if (y < center) horiz[y][x] = -1;
+      else if (y > center) horiz[y][x] = -1;
+      else horiz[y][x] = 2;
+    }
+  }
+
+  // 2. Vertical Edge
+  const vert = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
+  for(let y=0; y<kSize; y++) {
+    for(let x=0; x<kSize; x++) {
+      if (x < center) vert[y][x] = -1;
+      else if (x > center) vert[y][x] = -1;
+      else vert[y][x] = 2;
+    }
+  }
+
+  // 3. Sharpen 
+  const sharpen = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
+  sharpen[center][center] = kSize === 3 ? 5 : 9;
+  if(kSize === 3) {
+      sharpen[0][1] = -1; sharpen[1][0] = -1; sharpen[1][2] = -1; sharpen[2][1] = -1;
+  }
+
+  // 4. Emboss (3x3 only visual mostly)
+  const emboss = Array(kSize).fill(0).map(() => Array(kSize).fill(0));
+  if (kSize === 3) {
+      emboss[0][0] = -2; emboss[0][1] = -1; emboss[0][2] = 0;
+      emboss[1][0] = -1; emboss[1][1] = 1;  emboss[1][2] = 1;
+      emboss[2][0] = 0;  emboss[2][1] = 1;  emboss[2][2] = 2;
+  } else {
+      // Simple identity fallback for larger
+      emboss[center][center] = 1;
+  }
+
+  return {
+    horizontal: { name: 'Horizontal Edge', kernel: horiz },
+    vertical: { name: 'Vertical Edge', kernel: vert },
+    sharpen: { name: 'Sharpen', kernel: sharpen },
+    emboss: { name: 'Emboss (3x3)', kernel: emboss },
+  };
+};
+
+// Binomial row (1 2 1, 1 4 6 4 1, ...) used for the smoothing kernels
+const binomialRow = (kSize) => {
+  const row = [1];
+  for (let i = 1; i < kSize; i++) {
+    row.push(row[i - 1] * (kSize - i) / i);
+  }
+  return row;
+};
+
+// Classic named kernels offered in the library, generated for the current size
+export const generateLibraryKernels = (kSize) => {
+  const center = Math.floor(kSize / 2);
+  const smooth = binomialRow(kSize);
+  const smoothSum = smooth.reduce((a, b) => a + b, 0);
+  // Central difference, widened for 5x5 Sobel: [-1, -2, 0, 2, 1]
+  const deriv = kSize === 3 ? [-1, 0, 1] : Array(kSize).fill(0).map((_, i) => {
+      const d = i - center;
+      return d === 0 ? 0 : Math.sign(d) * (center - Math.abs(d) + 1);
+  });
+
+  const sobelX = smooth.map(sy => deriv.map(dx => sy * dx));
+  const sobelY = deriv.map(dy => smooth.map(sx => dy * sx));
+  const prewittX = Array(kSize).fill(0).map(() => Array(kSize).fill(0).map((_, x) => Math.sign(x - center)));
+  const prewittY = Array(kSize).fill(0).map((_, y) => Array(kSize).fill(Math.sign(y - center)));
+
+  let laplacian;
+  if (kSize === 3) {
+      laplacian = [[0, 1, 0], [1, -4, 1], [0, 1, 0]];
+  } else {
+      laplacian = Array(kSize).fill(0).map(() => Array(kSize).fill(1));
+      laplacian[center][center] = -(kSize * kSize - 1);
+  }
+
+  const gaussian = smooth.map(sy => smooth.map(sx => (sy * sx) / (smoothSum * smoothSum)));
+  const box = Array(kSize).fill(0).map(() => Array(kSize).fill(1 / (kSize * kSize)));
+
+  return [
+    { name: 'Sobel X', kernel: sobelX },
+    { name: 'Sobel Y', kernel: sobelY },
+    { name: 'Prewitt X', kernel: prewittX },
+    { name: 'Prewitt Y', kernel: prewittY },
+    { name: 'Laplacian', kernel: laplacian },
+    { name: 'Gaussian Blur', kernel: gaussian },
+    { name: 'Box Blur', kernel: box },
+  ];
+};
@@ -0,0 +1,7 @@
+// --- OPTIONS ---
+// Checks on the named options the engine's entry points take
+
+// Throws when key isn't one of the table's entries, listing the ones that are
+export const assertOption = (table, key, what, expected = 'one of') => {
+  if (!(key in table)) throw new Error(`Unknown ${what} "${key}" (expected ${expected} ${Object.keys(table).join(', ')})`);
+};
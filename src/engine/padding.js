@@ -0,0 +1,63 @@
+import { assertOption } from './options.js';
+
+// --- PADDING ---
+// How a convolution reads outside its input. All grids here are flat, row-major typed
+// arrays of dim × dim values
+
+// Named padding presets, as a function of the kernel's extent on the input (its size, or
+// (size - 1) · dilation + 1 for a dilated kernel)
+// valid: no padding, same: output keeps input size (stride 1), full: every partial overlap
+export const PADDING_PRESETS = {
+  valid: { label: 'Valid', amount: () => 0 },
+  same: { label: 'Same', amount: (kSize) => Math.floor(kSize / 2) },
+  full: { label: 'Full', amount: (kSize) => kSize - 1 },
+};
+
+// How out-of-bounds reads are filled, named after PyTorch's Conv2d padding_mode
+export const PADDING_MODES = {
+  zeros: 'Zero',
+  reflect: 'Reflect',
+  replicate: 'Replicate',
+  circular: 'Circular',
+};
+
+// Maps a possibly out-of-range coordinate back into [0, n). Returns -1 for zero padding
+export const resolvePadIndex = (i, n, mode) => {
+  if (i >= 0 && i < n) return i;
+  switch (mode) {
+    case 'reflect': {
+      // Mirror without repeating the edge: -1 -> 1, n -> n-2
+      if (n === 1) return 0;
+      const period = 2 * (n - 1);
+      const m = ((i % period) + period) % period;
+      return m < n ? m : period - m;
+    }
+    case 'replicate':
+      return i < 0 ? 0 : n - 1;
+    case 'circular':
+      return ((i % n) + n) % n;
+    default:
+      return -1;
+  }
+};
+
+// Reads grid[iy][ix] with padding applied. src is the cell the value came from (null for zeros)
+export const samplePadded = (grid, dim, ix, iy, mode) => {
+  const sx = resolvePadIndex(ix, dim, mode);
+  const sy = resolvePadIndex(iy, dim, mode);
+  if (sx < 0 || sy < 0) return { val: 0, src: null };
+  return { val: grid[sy * dim + sx], src: { x: sx, y: sy } };
+};
+
+// The whole padded grid, (dim + 2·padding)² values, as the convolution sees it
+export const pad2d = (data, dim, padding, mode = 'zeros') => {
+  assertOption(PADDING_MODES, mode, 'padding mode');
+  const outDim = dim + 2 * padding;
+  const out = new Float32Array(outDim * outDim);
+  for (let y = 0; y < outDim; y++) {
+    for (let x = 0; x < outDim; x++) {
+      out[y * outDim + x] = samplePadded(data, dim, x - padding, y - padding, mode).val;
+    }
+  }
+  return { data: out, dim: outDim };
+};
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PADDING_PRESETS, resolvePadIndex, samplePadded, pad2d } from './padding.js';
+
+test('out-of-range indices per padding mode', () => {
+  // Row of 4: indices -2 -1 | 0 1 2 3 | 4 5
+  const resolve = (mode) => [-2, -1, 4, 5].map(i => resolvePadIndex(i, 4, mode));
+  assert.deepEqual(resolve('zeros'), [-1, -1, -1, -1]);
+  assert.deepEqual(resolve('replicate'), [0, 0, 3, 3]);
+  assert.deepEqual(resolve('reflect'), [2, 1, 2, 1]);
+  assert.deepEqual(resolve('circular'), [2, 3, 0, 1]);
+});
+
+test('samplePadded reports where a padded value came from', () => {
+  const grid = Float32Array.from([1, 2, 3, 4]);
+  assert.deepEqual(samplePadded(grid, 2, -1, 0, 'zeros'), { val: 0, src: null });
+  assert.deepEqual(samplePadded(grid, 2, -1, 1, 'replicate'), { val: 3, src: { x: 0, y: 1 } });
+  assert.deepEqual(samplePadded(grid, 2, 1, 1, 'zeros'), { val: 4, src: { x: 1, y: 1 } });
+});
+
+test('pad2d builds the padded grid', () => {
+  const grid = Float32Array.from([1, 2, 3, 4]);
+  const zeros = pad2d(grid, 2, 1, 'zeros');
+  assert.equal(zeros.dim, 4);
+  assert.deepEqual(Array.from(zeros.data), [0, 0, 0, 0, 0, 1, 2, 0, 0, 3, 4, 0, 0, 0, 0, 0]);
+  assert.deepEqual(Array.from(pad2d(grid, 2, 1, 'reflect').data), [4, 3, 4, 3, 2, 1, 2, 1, 4, 3, 4, 3, 2, 1, 2, 1]);
+  assert.deepEqual(Array.from(pad2d(grid, 2, 1, 'circular').data), [4, 3, 4, 3, 2, 1, 2, 1, 4, 3, 4, 3, 2, 1, 2, 1]);
+  assert.deepEqual(Array.from(pad2d(grid, 2, 1, 'replicate').data), [1, 1, 2, 2, 1, 1, 2, 2, 3, 3, 4, 4, 3, 3, 4, 4]);
+  assert.throws(() => pad2d(grid, 2, 1, 'mirror'), /Unknown padding mode/);
+});
+
+test('presets as a function of kernel extent', () => {
+  assert.deepEqual([3, 5].map(k => PADDING_PRESETS.valid.amount(k)), [0, 0]);
+  assert.deepEqual([3, 5, 9].map(k => PADDING_PRESETS.same.amount(k)), [1, 2, 4]);
+  assert.deepEqual([3, 5, 9].map(k => PADDING_PRESETS.full.amount(k)), [2, 4, 8]);
+});
@@ -0,0 +1,49 @@
+import { depthwiseMaps, convolveFilters, convOutDim } from './conv.js';
+import { poolMap, poolOutDim } from './pooling.js';
+import { runStackLayer, blankStackLayer } from './stack.js';
+
+// --- PIPELINE ---
+// Everything the feature-map views show, in one call: the first conv layer (and its
+// depthwise maps in the separable form), pooling, then each stacked layer in turn.
+// `input` is the flat, channel-major grid (all of channel 0, then channel 1, ...)
+
+export const runPipeline = ({ input, dim, channelCount, filters, options, pool, stack }) => {
+  const n = dim * dim;
+  const channels = Array.from({ length: channelCount }, (_, c) => input.subarray(c * n, (c + 1) * n));
+  const depthMaps = options.depthwise ? depthwiseMaps(channels, dim, options.depthwise, options) : null;
+  const featureMaps = convolveFilters(channels, dim, filters, options, depthMaps);
+  const pooledMaps = featureMaps.map(map => poolMap(map, pool.type, pool.size, pool.stride));
+  const stackOutputs = [];
+  let maps = pooledMaps;
+  stack.forEach(layer => {
+    maps = runStackLayer(layer, maps);
+    stackOutputs.push(maps);
+  });
+  return { depthMaps, featureMaps, pooledMaps, stackOutputs };
+};
+
+// runPipeline's result with every map zero-filled: which maps there are and how big, without
+// computing any of them. It stands in while the real result is computed off the main thread
+export const blankPipeline = ({ dim, channelCount, filters, options, pool, stack }) => {
+  const { stride, padding, dilation = 1 } = options;
+  const list = Object.values(filters);
+  const outDim = list.length ? convOutDim(dim, list[0].kernel.length, stride, padding, dilation) : 0;
+  const blank = (d) => new Float32Array(d * d);
+  const depthMaps = options.depthwise ? Array.from({ length: channelCount }, () => ({ data: blank(outDim), dim: outDim })) : null;
+  const featureMaps = list.map(filter => ({ name: filter.name, data: blank(outDim), dim: outDim }));
+  const poolDim = poolOutDim(outDim, pool.size, pool.stride);
+  const pooledMaps = featureMaps.map(map => ({ name: map.name, data: blank(poolDim), dim: poolDim }));
+  const stackOutputs = [];
+  let maps = pooledMaps;
+  stack.forEach(layer => {
+    maps = blankStackLayer(layer, maps);
+    stackOutputs.push(maps);
+  });
+  return { depthMaps, featureMaps, pooledMaps, stackOutputs };
+};
+
+// Every distinct buffer in a pipeline result, for posting it between threads without copies
+export const pipelineBuffers = (result) => {
+  const maps = [...(result.depthMaps ?? []), ...result.featureMaps, ...result.pooledMaps, ...result.stackOutputs.flat()];
+  return [...new Set(maps.map(map => map.data.buffer))];
+};
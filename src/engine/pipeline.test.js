@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runPipeline, blankPipeline, pipelineBuffers } from './pipeline.js';
+import { conv2d } from './conv.js';
+import { pool2d } from './pooling.js';
+
+const IDENTITY = [[0, 0, 0], [0, 1, 0], [0, 0, 0]];
+const EDGE = [[-1, 0, 1], [-1, 0, 1], [-1, 0, 1]];
+const FILTERS = { a: { name: 'Identity', kernel: IDENTITY }, b: { name: 'Edge', kernel: EDGE } };
+const OPTIONS = { stride: 1, padding: 1, padMode: 'zeros', dilation: 1, activation: 'relu', depthwise: null };
+const POOL = { type: 'max', size: 2, stride: 2 };
+const INPUT = Float32Array.from({ length: 16 }, (_, i) => (i * 7) % 5);
+
+test('conv and pool stages match the standalone ops', () => {
+  const { featureMaps, pooledMaps, stackOutputs, depthMaps } = runPipeline({
+    input: INPUT, dim: 4, channelCount: 1, filters: FILTERS, options: OPTIONS, pool: POOL, stack: [],
+  });
+  const edge = conv2d(INPUT, 4, EDGE, { padding: 1, activation: 'relu' });
+  assert.deepEqual(Array.from(featureMaps[1].data), Array.from(edge.data));
+  assert.deepEqual(Array.from(pooledMaps[1].data), Array.from(pool2d(edge.data, 4, POOL).data));
+  assert.equal(featureMaps[0].name, 'Identity');
+  assert.deepEqual(stackOutputs, []);
+  assert.equal(depthMaps, null);
+});
+
+test('stacked layers run in order on the pooled maps', () => {
+  const stack = [{ type: 'activation', fn: 'relu', alpha: 0 }, { type: 'pool', poolType: 'avg', size: 2, stride: 2 }];
+  const { pooledMaps, stackOutputs } = runPipeline({
+    input: INPUT, dim: 4, channelCount: 1, filters: FILTERS, options: OPTIONS, pool: POOL, stack,
+  });
+  assert.equal(stackOutputs.length, 2);
+  const [avg] = stackOutputs[1];
+  assert.equal(avg.dim, 1);
+  assert.ok(Math.abs(avg.data[0] - pooledMaps[0].data.reduce((a, b) => a + b) / 4) < 1e-6);
+});
+
+test('each result buffer is listed once for transfer', () => {
+  const stack = [{ type: 'pool', poolType: 'max', size: 1, stride: 1 }];
+  const result = runPipeline({ input: INPUT, dim: 4, channelCount: 1, filters: FILTERS, options: OPTIONS, pool: POOL, stack });
+  const buffers = pipelineBuffers(result);
+  assert.equal(buffers.length, new Set(buffers).size);
+  assert.equal(buffers.length, 6);
+  assert.ok(!buffers.includes(INPUT.buffer));
+});
+
+test('the blank pipeline has the same maps and sizes, all zero', () => {
+  const stack = [
+    { type: 'conv', kernelSize: 3, stride: 1, padding: 1, outChannels: 3 },
+    { type: 'batchnorm', eps: 1e-5 },
+    { type: 'pool', poolType: 'avg', size: 2, stride: 1 },
+    { type: 'conv', kernelSize: 5, stride: 2, padding: 0, outChannels: 2 },
+  ];
+  const input = Float32Array.from({ length: 3 * 81 }, (_, i) => (i * 7) % 5);
+  const depthwise = [IDENTITY, EDGE, IDENTITY];
+  const job = { input, dim: 9, channelCount: 3, filters: FILTERS, options: { ...OPTIONS, stride: 2, depthwise }, pool: POOL, stack };
+  const shape = ({ depthMaps, featureMaps, pooledMaps, stackOutputs }) => [depthMaps, featureMaps, pooledMaps, ...stackOutputs]
+    .map(maps => maps.map(({ name, data, dim }) => [name, data.length, dim]));
+  const blank = blankPipeline(job);
+  assert.deepEqual(shape(blank), shape(runPipeline(job)));
+  assert.ok(pipelineBuffers(blank).every(buffer => new Float32Array(buffer).every(v => v === 0)));
+});
@@ -0,0 +1,15 @@
+import { runPipeline, pipelineBuffers } from './pipeline.js';
+
+// --- PIPELINE WORKER ---
+// Runs one pipeline job per message off the main thread. The job's input buffer arrives
+// transferred, and the result's buffers are transferred back. id and key are echoed so the
+// page can tell which job (and which layer layout) a result belongs to
+
+self.onmessage = ({ data: job }) => {
+  try {
+    const result = runPipeline(job);
+    self.postMessage({ id: job.id, key: job.key, ...result }, pipelineBuffers(result));
+  } catch (err) {
+    self.postMessage({ id: job.id, key: job.key, error: err.message });
+  }
+};
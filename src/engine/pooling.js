@@ -0,0 +1,39 @@
+import { assertOption } from './options.js';
+
+// --- POOLING ---
+
+// Pooling reducers over one window of values
+export const POOLING = {
+  max: (vals) => Math.max(...vals),
+  avg: (vals) => vals.reduce((a, b) => a + b, 0) / vals.length,
+  min: (vals) => Math.min(...vals),
+};
+
+// Output size of a size × size window moving by stride, 0 once the map is smaller than it
+export const poolOutDim = (dim, size, stride) => (dim >= size ? Math.floor((dim - size) / stride) + 1 : 0);
+
+// Pools one map with a square window
+export const poolMap = (map, type, size, stride) => {
+  const outDim = poolOutDim(map.dim, size, stride);
+  const pooled = new Float32Array(outDim * outDim);
+
+  for (let y = 0; y < outDim; y++) {
+    for (let x = 0; x < outDim; x++) {
+      const window = [];
+      for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+          window.push(map.data[(y * stride + py) * map.dim + (x * stride + px)]);
+        }
+      }
+      pooled[y * outDim + x] = POOLING[type](window);
+    }
+  }
+  return { name: map.name, data: pooled, dim: outDim };
+};
+
+// Headless pooling of one dim × dim map. stride defaults to the window size
+export const pool2d = (data, dim, { type = 'max', size = 2, stride = size } = {}) => {
+  assertOption(POOLING, type, 'pooling');
+  const { data: pooled, dim: outDim } = poolMap({ data, dim }, type, size, stride);
+  return { data: pooled, dim: outDim };
+};
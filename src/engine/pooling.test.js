@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pool2d } from './pooling.js';
+
+// 1 2 3 4 / 5 6 7 8 / 9 10 11 12 / 13 14 15 16
+const ONE_TO_SIXTEEN = Float32Array.from({ length: 16 }, (_, i) => i + 1);
+
+test('2x2 windows with stride 2', () => {
+  assert.deepEqual(Array.from(pool2d(ONE_TO_SIXTEEN, 4, { type: 'max' }).data), [6, 8, 14, 16]);
+  assert.deepEqual(Array.from(pool2d(ONE_TO_SIXTEEN, 4, { type: 'min' }).data), [1, 3, 9, 11]);
+  assert.deepEqual(Array.from(pool2d(ONE_TO_SIXTEEN, 4, { type: 'avg' }).data), [3.5, 5.5, 11.5, 13.5]);
+});
+
+test('overlapping 3x3 windows with stride 1', () => {
+  const { data, dim } = pool2d(ONE_TO_SIXTEEN, 4, { type: 'max', size: 3, stride: 1 });
+  assert.equal(dim, 2);
+  assert.deepEqual(Array.from(data), [11, 12, 15, 16]);
+});
+
+test('windows that do not fit are dropped', () => {
+  assert.equal(pool2d(ONE_TO_SIXTEEN, 4, { size: 3 }).dim, 1);
+  assert.equal(pool2d(ONE_TO_SIXTEEN, 4, { size: 2, stride: 3 }).dim, 1);
+  assert.equal(pool2d(Float32Array.from([1, 2, 3, 4]), 2, { size: 3 }).dim, 0);
+});
+
+test('unknown pooling type throws', () => {
+  assert.throws(() => pool2d(ONE_TO_SIXTEEN, 4, { type: 'median' }), /Unknown pooling/);
+});
@@ -0,0 +1,83 @@
+import { samplePadded } from './padding.js';
+import { ACTIVATIONS } from './activations.js';
+import { poolMap, poolOutDim } from './pooling.js';
+import { convOutDim } from './conv.js';
+import { generateFilters } from './kernels.js';
+
+// --- LAYER STACK ---
+// Layers after the first conv + pool, each a plain spec object ({ type: 'conv' | 'activation'
+// | 'pool' | 'batchnorm', ...settings }) applied to every channel of the layer before
+
+// Kernel [out][in][ky][kx]: the built-in patterns, spread evenly over every input channel
+export const stackConvKernels = (layer, inChannels) => {
+  const base = Object.values(generateFilters(layer.kernelSize));
+  return Array.from({ length: layer.outChannels }, (_, o) => {
+    const pattern = base[o % base.length].kernel;
+    return Array.from({ length: inChannels }, () => pattern.map(row => row.map(w => w / inChannels)));
+  });
+};
+
+// Runs one stacked layer over all channels of the previous layer
+export const runStackLayer = (layer, maps) => {
+  const dim = maps[0]?.dim ?? 0;
+
+  switch (layer.type) {
+    case 'conv': {
+      const { kernelSize: k, stride, padding } = layer;
+      const outDim = dim > 0 ? convOutDim(dim, k, stride, padding) : 0;
+      const kernels = stackConvKernels(layer, maps.length);
+      return kernels.map((kernel, o) => {
+        const data = new Float32Array(outDim * outDim);
+        for (let y = 0; y < outDim; y++) {
+          for (let x = 0; x < outDim; x++) {
+            let sum = 0;
+            maps.forEach((map, c) => {
+              for (let ky = 0; ky < k; ky++) {
+                for (let kx = 0; kx < k; kx++) {
+                  const { val } = samplePadded(map.data, dim, x * stride - padding + kx, y * stride - padding + ky, 'zeros');
+                  sum += val * kernel[c][ky][kx];
+                }
+              }
+            });
+            data[y * outDim + x] = sum;
+          }
+        }
+        return { name: `Channel ${o + 1}`, data, dim: outDim };
+      });
+    }
+    case 'activation':
+      return maps.map(map => ({ ...map, data: map.data.map(v => ACTIVATIONS[layer.fn].fn(v, layer.alpha)) }));
+    case 'pool':
+      return maps.map(map => poolMap(map, layer.poolType, layer.size, layer.stride));
+    case 'batchnorm':
+      // Single-image batch: each channel is normalized by its own spatial statistics (gamma 1, beta 0)
+      return maps.map(map => {
+        const n = map.data.length || 1;
+        const mean = map.data.reduce((a, b) => a + b, 0) / n;
+        const variance = map.data.reduce((a, b) => a + (b - mean) ** 2, 0) / n;
+        const scale = 1 / Math.sqrt(variance + layer.eps);
+        return { ...map, data: map.data.map(v => (v - mean) * scale), mean, variance };
+      });
+    default:
+      return maps;
+  }
+};
+
+// What runStackLayer would return, zero-filled: the same maps and sizes, none of the arithmetic
+export const blankStackLayer = (layer, maps) => {
+  const dim = maps[0]?.dim ?? 0;
+  const blank = (name, d) => ({ name, data: new Float32Array(d * d), dim: d });
+
+  switch (layer.type) {
+    case 'conv': {
+      const outDim = dim > 0 ? convOutDim(dim, layer.kernelSize, layer.stride, layer.padding) : 0;
+      return Array.from({ length: layer.outChannels }, (_, o) => blank(`Channel ${o + 1}`, outDim));
+    }
+    case 'pool':
+      return maps.map(map => blank(map.name, poolOutDim(map.dim, layer.size, layer.stride)));
+    case 'batchnorm':
+      return maps.map(map => ({ ...blank(map.name, map.dim), mean: 0, variance: 0 }));
+    default:
+      return maps.map(map => blank(map.name, map.dim));
+  }
+};
@@ -0,0 +1,60 @@
+// --- GLYPHS ---
+// Digits and letters as pen strokes in unit coordinates, rendered anti-aliased at any grid
+// size. Shared by the sample gallery and the digit classifier's training script, so this
+// module stays free of bundler-only features
+
+// Points along an ellipse in unit coordinates. Angles in degrees, 0 = right, 90 = down
+export const arc = (cx, cy, rx, ry, from, to, steps = 24) => Array.from({ length: steps + 1 }, (_, i) => {
+  const a = ((from + (to - from) * (i / steps)) * Math.PI) / 180;
+  return [cx + rx * Math.cos(a), cy + ry * Math.sin(a)];
+});
+
+const segmentDistance = (px, py, [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+// Anti-aliased pen strokes. halfWidth is in unit coordinates, but never thinner than half a pixel
+export const renderStrokes = (strokes, size, halfWidth = 0.065) => {
+  const grid = new Float32Array(size * size);
+  const w = Math.max(halfWidth, 0.5 / size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const px = (x + 0.5) / size;
+      const py = (y + 0.5) / size;
+      let d = Infinity;
+      strokes.forEach(stroke => {
+        for (let i = 1; i < stroke.length; i++) d = Math.min(d, segmentDistance(px, py, stroke[i - 1], stroke[i]));
+      });
+      grid[y * size + x] = Math.max(0, Math.min(1, (w - d) * size + 0.5));
+    }
+  }
+  return grid;
+};
+
+// Digits sit in the central 20x20 of a 28x28 frame, like MNIST
+export const DIGITS = {
+  0: [arc(0.5, 0.5, 0.19, 0.31, 0, 360)],
+  1: [[[0.4, 0.3], [0.53, 0.18], [0.53, 0.82]]],
+  2: [[...arc(0.5, 0.37, 0.18, 0.18, 180, 380), [0.3, 0.82], [0.72, 0.82]]],
+  3: [arc(0.48, 0.34, 0.17, 0.15, 200, 450), arc(0.48, 0.64, 0.19, 0.18, 270, 520)],
+  4: [[[0.62, 0.82], [0.62, 0.18], [0.27, 0.62], [0.76, 0.62]]],
+  5: [[[0.7, 0.18], [0.37, 0.18], [0.34, 0.46], ...arc(0.5, 0.62, 0.2, 0.19, 225, 520)]],
+  6: [[[0.66, 0.18], [0.46, 0.3], [0.34, 0.48], [0.31, 0.62]], arc(0.5, 0.63, 0.19, 0.19, 0, 360)],
+  7: [[[0.28, 0.2], [0.72, 0.2], [0.45, 0.82]]],
+  8: [arc(0.5, 0.34, 0.15, 0.15, 0, 360), arc(0.5, 0.65, 0.18, 0.17, 0, 360)],
+  9: [arc(0.5, 0.37, 0.17, 0.17, 0, 360), [[0.67, 0.38], [0.62, 0.82]]],
+};
+
+export const LETTERS = {
+  A: [[[0.25, 0.82], [0.5, 0.18], [0.75, 0.82]], [[0.35, 0.58], [0.65, 0.58]]],
+  C: [arc(0.52, 0.5, 0.24, 0.31, 40, 320)],
+  E: [[[0.7, 0.2], [0.3, 0.2], [0.3, 0.8], [0.7, 0.8]], [[0.3, 0.5], [0.62, 0.5]]],
+  H: [[[0.28, 0.18], [0.28, 0.82]], [[0.72, 0.18], [0.72, 0.82]], [[0.28, 0.5], [0.72, 0.5]]],
+  L: [[[0.32, 0.18], [0.32, 0.8], [0.72, 0.8]]],
+  T: [[[0.22, 0.2], [0.78, 0.2]], [[0.5, 0.2], [0.5, 0.82]]],
+  X: [[[0.25, 0.18], [0.75, 0.82]], [[0.75, 0.18], [0.25, 0.82]]],
+};
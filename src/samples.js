@@ -0,0 +1,97 @@
+// --- SAMPLE GALLERY ---
+// Canonical test inputs for the input layer. Everything here is bundled with the app,
+// so the gallery works offline. Glyphs and shapes are vector definitions rendered
+// straight at the requested grid size (no resampling blur); photo crops are image
+// files in ./samples that get resampled like an upload.
+
+import { arc, renderStrokes, DIGITS, LETTERS } from './glyphs';
+
+const fromFunction = (size, fn) => {
+  const grid = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      grid[y * size + x] = Math.max(0, Math.min(1, fn((x + 0.5) / size, (y + 0.5) / size, x, y)));
+    }
+  }
+  return grid;
+};
+
+// Deterministic PRNG so textures look the same on every load
+const mulberry32 = (seed) => () => {
+  let t = (seed += 0x6d2b79f5);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Smooth value noise over a lattice, summed over a few octaves
+const valueNoise = (seed, octaves = 4) => {
+  const rand = mulberry32(seed);
+  const lattice = Array.from({ length: 65 * 65 }, rand);
+  const at = (ix, iy) => lattice[(iy % 65) * 65 + (ix % 65)];
+  const smooth = (t) => t * t * (3 - 2 * t);
+  const sample = (u, v) => {
+    const ix = Math.floor(u);
+    const iy = Math.floor(v);
+    const fx = smooth(u - ix);
+    const fy = smooth(v - iy);
+    const top = at(ix, iy) + (at(ix + 1, iy) - at(ix, iy)) * fx;
+    const bottom = at(ix, iy + 1) + (at(ix + 1, iy + 1) - at(ix, iy + 1)) * fx;
+    return top + (bottom - top) * fy;
+  };
+  return (u, v) => {
+    let total = 0;
+    let amp = 0.5;
+    let freq = 4;
+    for (let o = 0; o < octaves; o++) {
+      total += amp * sample(u * freq, v * freq);
+      amp /= 2;
+      freq *= 2;
+    }
+    return total / (1 - 0.5 ** octaves);
+  };
+};
+
+// A line through the centre at `deg` degrees, spanning the whole frame
+const lineAt = (deg) => {
+  const a = (deg * Math.PI) / 180;
+  const dx = Math.cos(a);
+  const dy = -Math.sin(a);
+  return [[[0.5 - dx, 0.5 - dy], [0.5 + dx, 0.5 + dy]]];
+};
+
+const SHAPES = [
+  { id: 'dot', name: 'Single Dot', render: (size) => fromFunction(size, (u, v, x, y) => (x === Math.floor(size / 2) && y === Math.floor(size / 2) ? 1 : 0)) },
+  ...[0, 30, 45, 60, 90, 135].map(deg => ({ id: `line-${deg}`, name: `Line ${deg}°`, render: (size) => renderStrokes(lineAt(deg), size, 0.04) })),
+  { id: 'circle', name: 'Circle', render: (size) => renderStrokes([arc(0.5, 0.5, 0.32, 0.32, 0, 360, 48)], size, 0.04) },
+  { id: 'disc', name: 'Filled Disc', render: (size) => fromFunction(size, (u, v) => (0.32 - Math.hypot(u - 0.5, v - 0.5)) * size + 0.5) },
+  { id: 'square', name: 'Square', render: (size) => renderStrokes([[[0.22, 0.22], [0.78, 0.22], [0.78, 0.78], [0.22, 0.78], [0.22, 0.22]]], size, 0.04) },
+  { id: 'checker', name: 'Checkerboard', render: (size) => fromFunction(size, (u, v) => (Math.floor(u * 7) + Math.floor(v * 7)) % 2) },
+  { id: 'checker-fine', name: 'Fine Checker', render: (size) => fromFunction(size, (u, v, x, y) => (x + y) % 2) },
+  { id: 'gradient-h', name: 'Horizontal Gradient', render: (size) => fromFunction(size, (u) => u) },
+  { id: 'gradient-v', name: 'Vertical Gradient', render: (size) => fromFunction(size, (u, v) => v) },
+  { id: 'gradient-r', name: 'Radial Gradient', render: (size) => fromFunction(size, (u, v) => 1 - Math.hypot(u - 0.5, v - 0.5) / 0.71) },
+];
+
+const TEXTURES = [
+  { id: 'clouds', name: 'Clouds', render: (size) => { const n = valueNoise(7); return fromFunction(size, (u, v) => n(u, v)); } },
+  { id: 'wood', name: 'Wood Rings', render: (size) => { const n = valueNoise(11, 2); return fromFunction(size, (u, v) => 0.5 + 0.5 * Math.sin(Math.hypot(u - 0.2, v - 0.3) * 40 + n(u, v) * 6)); } },
+  { id: 'marble', name: 'Marble', render: (size) => { const n = valueNoise(23); return fromFunction(size, (u, v) => 0.5 + 0.5 * Math.sin((u + v) * 12 + n(u, v) * 10)); } },
+];
+
+// Any image dropped into src/samples/ is bundled and listed under "Photos"
+const photoFiles = import.meta.glob('./samples/*.{png,jpg,jpeg,webp}', { eager: true, as: 'url' });
+
+const PHOTOS = Object.entries(photoFiles).map(([path, url]) => {
+  const file = path.split('/').pop();
+  return { id: `photo-${file}`, name: file.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' '), url };
+});
+
+// Sample categories, in gallery order. A sample has either render(size) -> Float32Array or an image url
+export const SAMPLE_GALLERY = [
+  { category: 'Digits', samples: Object.entries(DIGITS).map(([d, strokes]) => ({ id: `digit-${d}`, name: `Digit ${d}`, render: (size) => renderStrokes(strokes, size) })) },
+  { category: 'Letters', samples: Object.entries(LETTERS).map(([l, strokes]) => ({ id: `letter-${l}`, name: `Letter ${l}`, render: (size) => renderStrokes(strokes, size) })) },
+  { category: 'Shapes', samples: SHAPES },
+  { category: 'Textures', samples: TEXTURES },
+  { category: 'Photos', samples: PHOTOS },
+].filter(group => group.samples.length > 0);